@@ -0,0 +1,94 @@
+// address.js — Split a Maps address into street, city, region, postal code and country
+//
+// Maps writes addresses the way the local post does, so the postcode's
+// position tells the formats apart:
+//   IN / US / CA  "…, Amritsar, Punjab 143006"      region + postcode after the city
+//   AU            "…, Sydney NSW 2000"              city, region and postcode in one part
+//   UK            "…, London SW1A 2AA"              postcode after the city
+//   EU            "…, 10119 Berlin" / "00184 Roma RM" postcode before the city
+
+(function (root) {
+  'use strict';
+
+  const REGION_POSTCODE = /^(.+?)\s+(\d{3}\s?\d{3}|\d{5}(?:-\d{4})?|[A-Z]\d[A-Z]\s?\d[A-Z]\d)$/;
+  const CITY_REGION_POSTCODE = /^(.+?)\s+([A-Z]{2,3})\s+(\d{4})$/;
+  const CITY_POSTCODE = /^(.+?)\s+([A-Z]{1,2}\d[A-Z\d]?\s\d[A-Z]{2})$/;
+  // 10119 Berlin · 1012 AB Amsterdam · 1100-148 Lisboa · 00184 Roma RM
+  const POSTCODE_CITY = /^(\d{4}\s?[A-Z]{2}|\d{4}-\d{3}|\d{4,5})\s+(.+?)(?:\s+([A-Z]{2}))?$/;
+  // "…, Chandigarh, 160017" — a postcode on its own after the city
+  const POSTCODE_ONLY = /^(\d{3}\s?\d{3}|\d{4,5}(?:-\d{4})?)$/;
+
+  // Countries where a last part without a postcode is the state
+  const STATE_COUNTRIES = ['IN', 'US', 'CA', 'AU'];
+
+  // The code of a country phone.js knows by this name, or ''
+  function countryCodeOf(part) {
+    const countries = root.ScraperPhone ? root.ScraperPhone.COUNTRIES : {};
+    const name = part.toLowerCase();
+    const found = Object.entries(countries).find(([, info]) => info.names.includes(name));
+    return found ? found[0] : '';
+  }
+
+  // The part holding the postcode; cityBefore marks formats where the
+  // city is the part in front of it
+  function matchLocality(part) {
+    let match;
+    if ((match = part.match(CITY_REGION_POSTCODE))) {
+      return { city: match[1], region: match[2], postalCode: match[3] };
+    }
+    if ((match = part.match(REGION_POSTCODE))) {
+      return { region: match[1], postalCode: match[2], cityBefore: true };
+    }
+    if ((match = part.match(CITY_POSTCODE))) {
+      return { city: match[1], region: '', postalCode: match[2] };
+    }
+    if ((match = part.match(POSTCODE_CITY))) {
+      return { city: match[2], region: match[3] || '', postalCode: match[1] };
+    }
+    if ((match = part.match(POSTCODE_ONLY))) {
+      return { region: '', postalCode: match[1], cityBefore: true };
+    }
+    return null;
+  }
+
+  // countryCode comes from ScraperPhone.inferCountry(); it fills the
+  // country column when Maps leaves the country off the address. Without
+  // it, a trailing country is kept as its code, or as written when phone.js
+  // does not know it ("Netherlands")
+  function parseAddress(address, countryCode) {
+    const result = { street: '', city: '', region: '', postalCode: '', country: countryCode || '' };
+    const parts = String(address || '').split(',').map(part => part.trim()).filter(Boolean);
+    if (!parts.length) return result;
+
+    // A trailing country, known by name or because the postcode sits just before it
+    const trailing = parts[parts.length - 1];
+    if (parts.length > 1 && (countryCodeOf(trailing) ||
+        (!matchLocality(trailing) && matchLocality(parts[parts.length - 2])))) {
+      parts.pop();
+      if (!countryCode) result.country = countryCodeOf(trailing) || trailing;
+    }
+
+    const last = parts.pop();
+    const locality = matchLocality(last);
+    if (locality) {
+      result.region = locality.region;
+      result.postalCode = locality.postalCode;
+      result.city = locality.cityBefore ? (parts.pop() || '') : locality.city;
+    } else if (STATE_COUNTRIES.includes(countryCode) && parts.length >= 2) {
+      result.region = last;
+      result.city = parts.pop();
+    } else {
+      result.city = last;
+    }
+
+    result.street = parts.join(', ');
+    return result;
+  }
+
+  const ScraperAddress = {
+    parseAddress
+  };
+
+  root.ScraperAddress = ScraperAddress;
+  if (typeof module !== 'undefined' && module.exports) module.exports = ScraperAddress;
+})(globalThis);
@@ -0,0 +1,923 @@
+// background.js — Service worker: owns job state, relays commands, runs exports
+
+importScripts('storage.js', 'xlsx.js', 'exporters.js', 'filters.js', 'enrich.js', 'webhook.js', 'sheets.js',
+  'schedule.js');
+
+(function () {
+  'use strict';
+
+  const CONTENT_SCRIPTS = chrome.runtime.getManifest().content_scripts[0].js;
+  const MAPS_TABS = 'https://www.google.com/maps/*';
+  const START_RETRIES = 10;      // content script may still be loading
+  const RETRY_DELAY = 500;
+  const NEXT_JOB_DELAY = 2000;   // pause between queries
+  const TAB_LOAD_TIMEOUT = 30000;
+  const SCHEDULED_SNAPSHOTS_KEPT = 10;   // per schedule; older ones are deleted
+  const RESET_SNAPSHOTS_KEPT = 10;       // "Before reset" ones, likewise
+  const RESET_SNAPSHOT_PREFIX = 'Before reset, ';
+  const ALL_SITES = { origins: ['<all_urls>'] };
+
+  const DEFAULT_STATUS = {
+    isRunning: false,
+    navigating: false,
+    tabId: null,
+    query: '',
+    count: 0,
+    rejected: 0,           // places the filter rules turned down this run
+    progress: '',
+    message: 'Ready to scrape',
+    error: null
+  };
+
+  // ── Helpers ───────────────────────────────────────────────────
+
+  function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  function log(message) {
+    console.log(`[Maps Scraper] ${message}`);
+  }
+
+  function notifyPopup(message) {
+    // The popup may be closed; nobody listening is not an error
+    chrome.runtime.sendMessage(message).catch(() => {});
+  }
+
+  function buildSearchUrl(query) {
+    return `https://www.google.com/maps/search/${encodeURIComponent(query).replace(/%20/g, '+')}`;
+  }
+
+  // "dentist" × "Amritsar" → "dentist in Amritsar"; no locations → terms only
+  function buildJobs(terms, locations) {
+    const jobs = [];
+    for (const term of terms) {
+      if (locations.length === 0) {
+        jobs.push({ query: term, status: 'pending', count: 0 });
+        continue;
+      }
+      for (const place of locations) {
+        jobs.push({ query: `${term} in ${place}`, status: 'pending', count: 0 });
+      }
+    }
+    return jobs;
+  }
+
+  function summarize(batch) {
+    if (!batch) return null;
+    const done = batch.jobs.filter(j => j.status === 'done' || j.status === 'failed').length;
+    const current = batch.jobs.find(j => j.status === 'navigating' || j.status === 'running');
+    return {
+      status: batch.status,
+      total: batch.jobs.length,
+      done,
+      current: current ? current.query : null,
+      jobs: batch.jobs
+    };
+  }
+
+  // ── Live status ───────────────────────────────────────────────
+  // Kept in memory and mirrored to session storage, since the worker
+  // can be suspended between events
+
+  let liveStatus = null;
+  let statusQueue = Promise.resolve();
+
+  async function loadLiveStatus() {
+    if (!liveStatus) {
+      liveStatus = (await ScraperStorage.getLiveStatus()) || { ...DEFAULT_STATUS };
+    }
+    return liveStatus;
+  }
+
+  function updateStatus(changes, event) {
+    statusQueue = statusQueue.then(async () => {
+      const current = await loadLiveStatus();
+      liveStatus = { ...current, ...changes, updatedAt: new Date().toISOString() };
+      await ScraperStorage.saveLiveStatus(liveStatus);
+      notifyPopup({ action: 'statusUpdate', event, status: liveStatus });
+    }).catch(err => log(`Could not update status: ${err.message}`));
+    return statusQueue;
+  }
+
+  async function getStatus() {
+    await statusQueue;
+    const [current, count, checkpoint, runMeta, batch] = await Promise.all([
+      loadLiveStatus(),
+      ScraperStorage.getCount(),
+      ScraperStorage.getCheckpoint(),
+      ScraperStorage.getRunMeta(),
+      ScraperStorage.getBatch()
+    ]);
+
+    let message = current.message;
+    // Saved meta still says "running" when the page reloaded mid-run
+    if (!current.isRunning && runMeta && runMeta.status === 'running') {
+      message = 'Previous run was interrupted — press Resume';
+    }
+
+    // A pass the worker lost when it was suspended or restarted
+    let enrichmentStatus = current.enrichment;
+    if (enrichmentStatus && enrichmentStatus.running && !enrichment) {
+      enrichmentStatus = { ...enrichmentStatus, running: false, interrupted: true };
+    }
+    let deliveryStatus = current.delivery;
+    if (deliveryStatus && deliveryStatus.running && !delivery) {
+      deliveryStatus = { ...deliveryStatus, running: false, interrupted: true };
+    }
+
+    return {
+      ...current,
+      enrichment: enrichmentStatus,
+      delivery: deliveryStatus,
+      message,
+      count,
+      runMeta,
+      canResume: !!checkpoint && !current.isRunning,
+      batch: summarize(batch)
+    };
+  }
+
+  // ── Talking to the content script ─────────────────────────────
+
+  async function sendToTab(tabId, message) {
+    try {
+      return await chrome.tabs.sendMessage(tabId, message);
+    } catch (error) {
+      log(`Message send failed: ${error.message}`);
+      // Try injecting the content scripts first
+      try {
+        await chrome.scripting.executeScript({
+          target: { tabId },
+          files: CONTENT_SCRIPTS
+        });
+        // Retry after injection
+        return await chrome.tabs.sendMessage(tabId, message);
+      } catch (injectErr) {
+        log(`Script injection failed: ${injectErr.message}`);
+        return null;
+      }
+    }
+  }
+
+  async function sendStartMessage(tabId, query) {
+    for (let attempt = 1; attempt <= START_RETRIES; attempt++) {
+      try {
+        return await chrome.tabs.sendMessage(tabId, { action: 'startScraping', query });
+      } catch (_) {
+        if (attempt === START_RETRIES - 1) {
+          // Last resort: inject the content scripts ourselves
+          await chrome.scripting.executeScript({
+            target: { tabId },
+            files: CONTENT_SCRIPTS
+          }).catch(() => {});
+        }
+        await wait(RETRY_DELAY);
+      }
+    }
+    return null;
+  }
+
+  const NOT_CONNECTED = {
+    status: 'error',
+    message: 'Cannot connect to page. Refresh Google Maps and try again.'
+  };
+
+  // ── Commands ──────────────────────────────────────────────────
+
+  async function startScraping(tabId) {
+    const response = await sendToTab(tabId, { action: 'startScraping' });
+    if (!response) return NOT_CONNECTED;
+    if (response.status === 'started') {
+      await updateStatus({ tabId, progress: 'Starting...', error: null }, 'starting');
+    }
+    return response;
+  }
+
+  async function resumeScraping(tabId) {
+    const checkpoint = await ScraperStorage.getCheckpoint();
+    if (!checkpoint) return { status: 'error', message: 'No saved session to resume.' };
+
+    const response = await sendToTab(tabId, { action: 'resumeScraping' });
+    if (!response) return NOT_CONNECTED;
+
+    if (response.status === 'no_feed') {
+      // Results list is gone: reload the saved search and let the
+      // content script pick the checkpoint up once the page loads
+      await ScraperStorage.saveCheckpoint({ ...checkpoint, resumeRequested: true });
+      await updateStatus({
+        isRunning: true,
+        navigating: true,
+        tabId,
+        progress: 'Reopening saved search…',
+        error: null
+      }, 'starting');
+      await chrome.tabs.update(tabId, { url: checkpoint.searchUrl });
+      return { status: 'started' };
+    }
+    return response;
+  }
+
+  async function stopScraping() {
+    await stopBatch();
+    const status = await loadLiveStatus();
+    if (status.tabId !== null) {
+      await sendToTab(status.tabId, { action: 'stopScraping' });
+    }
+    await updateStatus({
+      isRunning: false,
+      navigating: false,
+      progress: 'Stopped by user',
+      message: 'Ready to scrape'
+    }, 'stopped');
+    return { status: 'stopped' };
+  }
+
+  // Deletes all but the newest `keep` of the snapshots saved automatically
+  // under one name, so they do not pile up in local storage
+  async function pruneSnapshots(matches, keep) {
+    const older = (await ScraperStorage.getSnapshots()).filter(matches);
+    for (const snap of older.slice(keep)) {
+      await ScraperStorage.deleteSnapshot(snap.id);
+    }
+  }
+
+  async function resetData() {
+    // Kept so next month's run can be compared against it (options page)
+    const records = await ScraperStorage.getRecords();
+    if (records.length) {
+      await ScraperStorage.saveSnapshot(RESET_SNAPSHOT_PREFIX + new Date().toLocaleDateString(), records);
+      await pruneSnapshots(snap => snap.name.startsWith(RESET_SNAPSHOT_PREFIX), RESET_SNAPSHOTS_KEPT);
+    }
+    await ScraperStorage.clearAll();
+
+    // Every open Maps tab keeps an in-memory copy; clear those too
+    const tabs = await chrome.tabs.query({ url: MAPS_TABS });
+    await Promise.all(tabs.map(tab =>
+      chrome.tabs.sendMessage(tab.id, { action: 'resetData' }).catch(() => {})
+    ));
+
+    await updateStatus({ count: 0, progress: '', message: 'Ready to scrape', error: null }, 'reset');
+    return { status: 'reset', count: 0 };
+  }
+
+  // ── Downloads ─────────────────────────────────────────────────
+
+  function toBase64(bytes) {
+    let binary = '';
+    const CHUNK = 0x8000;
+    for (let i = 0; i < bytes.length; i += CHUNK) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+    }
+    return btoa(binary);
+  }
+
+  // Service workers have no URL.createObjectURL, so files go out as data URLs
+  function downloadFile(content, filename, mimeType) {
+    const bytes = typeof content === 'string' ? new TextEncoder().encode(content) : content;
+    return chrome.downloads.download({
+      url: `data:${mimeType};base64,${toBase64(bytes)}`,
+      filename,
+      saveAs: false
+    });
+  }
+
+  // since: optional "YYYY-MM-DD"; only places first seen from that day on
+  async function exportData(format, since) {
+    const records = ScraperExporters.newSince(await ScraperStorage.getRecords(), since);
+    if (records.length === 0) return { status: 'no_data' };
+
+    // {query} in the filename only when every record came from one search
+    const queries = new Set(records.map(r => r.query || ''));
+    const preset = await ScraperStorage.getActiveExportPreset();
+    const { content, filename, mimeType } = ScraperExporters.buildExport(format, records, {
+      preset,
+      query: queries.size === 1 ? records[0].query : ''
+    });
+    await downloadFile(content, filename, mimeType);
+    await exportRules(filename, records);
+    log(`Exported ${format.toUpperCase()} (${records.length} places${preset ? `, preset "${preset.name}"` : ''})`);
+    return { status: 'exported', count: records.length };
+  }
+
+  // The filter rules of each run the exported places came from go out next
+  // to the export as <file>.rules.json, so a list can be told apart from an
+  // unfiltered one. Places from runs without rules are counted as such
+  async function exportRules(filename, records) {
+    const runRules = await ScraperStorage.getRunRules();
+    const runs = new Map();
+    for (const record of records) {
+      const run = runRules[record.runId];
+      if (!run) continue;
+      if (!runs.has(run.runId)) {
+        runs.set(run.runId, {
+          query: run.query,
+          startedAt: run.startedAt,
+          places: 0,
+          filteredOut: run.rejected || 0,
+          rules: run.rules,
+          summary: ScraperFilters.describeRules(run.rules)
+        });
+      }
+      runs.get(run.runId).places++;
+    }
+    if (runs.size === 0) return;
+
+    const filtered = Array.from(runs.values()).reduce((sum, run) => sum + run.places, 0);
+    const sidecar = {
+      exportedAt: new Date().toISOString(),
+      file: filename,
+      places: records.length,
+      unfilteredPlaces: records.length - filtered,
+      runs: Array.from(runs.values())
+    };
+    await downloadFile(JSON.stringify(sidecar, null, 2), `${filename.replace(/\.[^.]+$/, '')}.rules.json`,
+      'application/json');
+  }
+
+  async function exportReviews(format) {
+    const reviewSets = (await ScraperStorage.getAllReviews()).filter(set => set.reviews.length);
+    if (reviewSets.length === 0) return { status: 'no_data' };
+
+    const { content, filename, mimeType } = ScraperExporters.buildReviewsExport(format, reviewSets);
+    await downloadFile(content, filename, mimeType);
+    log(`Exported reviews ${format.toUpperCase()} (${reviewSets.length} places)`);
+    return { status: 'exported', count: reviewSets.length };
+  }
+
+  // ── Website enrichment ────────────────────────────────────────
+  // Runs here rather than in the popup so it survives the popup closing
+
+  let enrichment = null;   // { stopRequested } while a pass runs
+
+  // Same key the content script stored the record under (getUniqueUrl)
+  function uniqueUrlOf(record) {
+    return String(record.url || '').split('?')[0];
+  }
+
+  async function startEnrichment() {
+    if (enrichment) return { status: 'error', message: 'Enrichment is already running.' };
+    if (!(await chrome.permissions.contains(ALL_SITES))) {
+      return { status: 'error', message: 'Allow access to websites to look for emails.' };
+    }
+
+    // Records already enriched without error are not fetched again
+    const records = (await ScraperStorage.getRecords())
+      .filter(r => r.website && (!r.enrichedAt || r.enrichError));
+    if (records.length === 0) return { status: 'no_data' };
+
+    const total = records.length;
+    let done = 0;
+    enrichment = { stopRequested: false };
+    await updateStatus({ enrichment: { running: true, done, total } }, 'enrich');
+    log(`Enriching ${total} websites`);
+
+    ScraperEnrich.enrichRecords(records, {
+      log,
+      shouldStop: () => enrichment.stopRequested,
+      onResult: async (record, fields) => {
+        await ScraperStorage.updateRecord(uniqueUrlOf(record), fields);
+        done++;
+        await updateStatus({ enrichment: { running: true, done, total } }, 'enrich');
+      }
+    }).then(summary => {
+      log(`Enrichment finished: ${summary.enriched} enriched, ${summary.failed} failed`);
+      return updateStatus({
+        enrichment: { running: false, done, total, stopped: enrichment.stopRequested, ...summary }
+      }, 'enrich');
+    }).catch(err => {
+      log(`Enrichment failed: ${err.message}`);
+      return updateStatus({ enrichment: { running: false, done, total, error: err.message } }, 'enrich');
+    }).finally(() => {
+      enrichment = null;
+    });
+
+    return { status: 'started', total };
+  }
+
+  function stopEnrichment() {
+    if (!enrichment) return Promise.resolve({ status: 'not_running' });
+    // Sites already being fetched finish; no new ones start
+    enrichment.stopRequested = true;
+    return Promise.resolve({ status: 'stopping' });
+  }
+
+  // ── Delivery to a webhook or Google Sheet ─────────────────────
+
+  let delivery = null;     // { target, stopRequested } while stored records are being sent
+  let streamQueue = Promise.resolve();
+
+  // Each target reads its own settings from storage. The webhook gets full
+  // records; sheet rows use the export preset's columns like file exports
+  const DELIVERY_TARGETS = {
+    webhook: {
+      label: 'the endpoint',
+      getConfig: ScraperStorage.getWebhookConfig,
+      validate: ScraperWebhook.validateConfig,
+      origins: config => [`${new URL(config.url).origin}/*`],
+      deliver: (records, config, options) => ScraperWebhook.deliverRecords(records, config, options)
+    },
+    sheets: {
+      label: 'Google Sheets',
+      getConfig: ScraperStorage.getSheetsConfig,
+      validate: ScraperSheets.validateConfig,
+      origins: config => ScraperSheets.accessOrigins(config.url),
+      deliver: async (records, config, options) => {
+        const preset = await ScraperStorage.getActiveExportPreset();
+        const { columns } = ScraperExporters.resolveSchema(preset);
+        return ScraperSheets.upsertRecords(records, config, { ...options, columns });
+      }
+    }
+  };
+
+  // The target is reachable once the user granted its origin on the options page
+  function canReach(target, config) {
+    return chrome.permissions.contains({ origins: target.origins(config) });
+  }
+
+  async function startDelivery(name) {
+    const target = DELIVERY_TARGETS[name];
+    if (!target) throw new Error(`Unknown delivery target: ${name}`);
+    if (delivery) return { status: 'error', message: 'Already sending records.' };
+    const config = await target.getConfig();
+    target.validate(config);
+    if (!(await canReach(target, config))) {
+      return { status: 'error', message: `Allow access to ${target.label} on the options page.` };
+    }
+
+    const records = await ScraperStorage.getRecords();
+    if (records.length === 0) return { status: 'no_data' };
+
+    const total = records.length;
+    let sent = 0;
+    let failed = 0;
+    delivery = { target: name, stopRequested: false };
+    await updateStatus({ delivery: { target: name, running: true, sent, failed, total } }, 'delivery');
+    log(`Sending ${total} places to ${config.url}`);
+
+    target.deliver(records, config, {
+      log,
+      shouldStop: () => delivery.stopRequested,
+      onBatch: async (entry) => {
+        await ScraperStorage.appendDeliveryLog(entry);
+        if (entry.ok) sent += entry.count;
+        else failed += entry.count;
+        await updateStatus({ delivery: { target: name, running: true, sent, failed, total } }, 'delivery');
+      }
+    }).then(summary => {
+      log(`Delivery to ${target.label} finished: ${summary.sent} sent, ${summary.failed} failed`);
+      return updateStatus({
+        delivery: { target: name, running: false, sent, failed, total, stopped: delivery.stopRequested }
+      }, 'delivery');
+    }).catch(err => {
+      log(`Delivery to ${target.label} failed: ${err.message}`);
+      return updateStatus({
+        delivery: { target: name, running: false, sent, failed, total, error: err.message }
+      }, 'delivery');
+    }).finally(() => {
+      delivery = null;
+    });
+
+    return { status: 'started', total };
+  }
+
+  function stopDelivery() {
+    if (!delivery) return Promise.resolve({ status: 'not_running' });
+    // The batch in flight finishes (or exhausts its retries); no new ones start
+    delivery.stopRequested = true;
+    return Promise.resolve({ status: 'stopping' });
+  }
+
+  // Streaming: one POST per record as the content script saves it,
+  // chained so records arrive in scrape order
+  function streamRecord(record) {
+    streamQueue = streamQueue.then(async () => {
+      const config = await ScraperStorage.getWebhookConfig();
+      if (!config.stream || !config.url || !(await canReach(DELIVERY_TARGETS.webhook, config))) return;
+      await ScraperWebhook.deliverRecords([record], config, {
+        event: 'record',
+        log,
+        onBatch: entry => ScraperStorage.appendDeliveryLog(entry)
+      });
+    }).catch(err => log(`Could not stream record: ${err.message}`));
+  }
+
+  // ── Batch queue ───────────────────────────────────────────────
+
+  async function runNextJob() {
+    const batch = await ScraperStorage.getBatch();
+    if (!batch || batch.status !== 'running') return;
+
+    const job = batch.jobs.find(j => j.status === 'pending');
+    if (!job) {
+      batch.status = 'complete';
+      await ScraperStorage.saveBatch(batch);
+      log('Batch complete');
+      notifyPopup({ action: 'batchUpdate', batch: summarize(batch) });
+      if (batch.scheduleId) await finishScheduledRun(batch);
+      return;
+    }
+
+    job.status = 'navigating';
+    job.startedAt = new Date().toISOString();
+    await ScraperStorage.saveBatch(batch);
+    notifyPopup({ action: 'batchUpdate', batch: summarize(batch) });
+    await updateStatus({
+      navigating: true,
+      tabId: batch.tabId,
+      query: job.query,
+      progress: `Opening "${job.query}"…`
+    }, 'progress');
+
+    log(`Batch: opening "${job.query}"`);
+    try {
+      await chrome.tabs.update(batch.tabId, { url: buildSearchUrl(job.query) });
+    } catch (err) {
+      // Tab was closed — nothing left to drive the queue
+      batch.status = 'stopped';
+      job.status = 'failed';
+      job.error = err.message;
+      await ScraperStorage.saveBatch(batch);
+      notifyPopup({ action: 'batchUpdate', batch: summarize(batch) });
+    }
+  }
+
+  async function finishJob(status, details) {
+    const batch = await ScraperStorage.getBatch();
+    if (!batch) return;
+
+    const job = batch.jobs.find(j => j.status === 'running' || j.status === 'navigating');
+    if (!job) return;
+
+    Object.assign(job, details, { status, finishedAt: new Date().toISOString() });
+    await ScraperStorage.saveBatch(batch);
+    notifyPopup({ action: 'batchUpdate', batch: summarize(batch) });
+
+    if (batch.status === 'running') {
+      await wait(NEXT_JOB_DELAY);
+      await runNextJob();
+    }
+  }
+
+  // extra: fields kept on the batch, e.g. { scheduleId, closeTab } for scheduled runs
+  async function startBatch(tabId, terms, locations, extra = {}) {
+    const jobs = buildJobs(terms, locations);
+    if (jobs.length === 0) {
+      return { status: 'error', message: 'Enter at least one search term.' };
+    }
+
+    const existing = await ScraperStorage.getBatch();
+    if (existing && existing.status === 'running') {
+      return { status: 'error', message: 'A batch is already running.' };
+    }
+
+    await ScraperStorage.saveBatch({
+      tabId,
+      status: 'running',
+      createdAt: new Date().toISOString(),
+      jobs,
+      ...extra
+    });
+    log(`Batch started with ${jobs.length} queries`);
+    runNextJob();
+    return { status: 'started', total: jobs.length };
+  }
+
+  // stopTab false when the run in the tab has already ended
+  async function stopBatch(stopTab = true) {
+    const batch = await ScraperStorage.getBatch();
+    if (!batch || batch.status !== 'running') return { status: 'not_running' };
+
+    batch.status = 'stopped';
+    for (const job of batch.jobs) {
+      if (job.status === 'navigating' || job.status === 'running') job.status = 'pending';
+    }
+    await ScraperStorage.saveBatch(batch);
+    if (stopTab) chrome.tabs.sendMessage(batch.tabId, { action: 'stopScraping' }).catch(() => {});
+    notifyPopup({ action: 'batchUpdate', batch: summarize(batch) });
+    return { status: 'stopped' };
+  }
+
+  async function handleBatchEvent(tabId, request) {
+    const batch = await ScraperStorage.getBatch();
+    if (!batch || batch.tabId !== tabId) return;
+    if (request.action === 'scrapingComplete') {
+      await finishJob('done', { count: request.added });
+    } else {
+      await finishJob('failed', { error: request.message });
+    }
+  }
+
+  // ── Scheduled runs ────────────────────────────────────────────
+  // Each enabled schedule has one alarm for its next run. It is set again
+  // after firing rather than repeating, so runs follow local time
+
+  async function syncAlarms() {
+    const schedules = (await ScraperStorage.getSchedules()).filter(s => s.enabled);
+    const alarms = await chrome.alarms.getAll();
+    for (const alarm of alarms) {
+      const id = ScraperSchedule.scheduleIdOf(alarm.name);
+      if (id && !schedules.some(s => s.id === id)) await chrome.alarms.clear(alarm.name);
+    }
+    for (const schedule of schedules) {
+      const name = ScraperSchedule.alarmName(schedule.id);
+      const when = ScraperSchedule.nextRunAt(schedule);
+      const current = alarms.find(a => a.name === name);
+      if (!current || current.scheduledTime !== when) await chrome.alarms.create(name, { when });
+    }
+  }
+
+  function waitForTabLoad(tabId) {
+    return new Promise((resolve) => {
+      const done = (loaded) => {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve(loaded);
+      };
+      const listener = (id, changeInfo) => {
+        if (id === tabId && changeInfo.status === 'complete') done(true);
+      };
+      const timer = setTimeout(() => done(false), TAB_LOAD_TIMEOUT);
+      chrome.tabs.onUpdated.addListener(listener);
+    });
+  }
+
+  // Runs the schedule's searches through the batch queue in a background tab
+  async function runSchedule(id) {
+    const schedule = (await ScraperStorage.getSchedules()).find(s => s.id === id);
+    if (!schedule) return { status: 'error', message: 'Schedule not found.' };
+    const lastRunAt = new Date().toISOString();
+
+    const [status, batch] = await Promise.all([loadLiveStatus(), ScraperStorage.getBatch()]);
+    if (status.isRunning || (batch && batch.status === 'running')) {
+      log(`Schedule "${schedule.name}" skipped: a run is in progress`);
+      await ScraperStorage.updateSchedule(id, { lastRunAt, lastResult: 'Skipped — another run was in progress' });
+      return { status: 'error', message: 'Another run is in progress.' };
+    }
+
+    log(`Schedule "${schedule.name}" started`);
+    const tab = await chrome.tabs.create({ url: 'https://www.google.com/maps', active: false });
+    // The batch must not start until this first load is over, or its
+    // completion would be taken for the first search loading
+    await waitForTabLoad(tab.id);
+    const result = await startBatch(tab.id, schedule.terms, schedule.locations || [], {
+      scheduleId: id,
+      closeTab: true
+    });
+    await ScraperStorage.updateSchedule(id, {
+      lastRunAt,
+      lastResult: result.status === 'started' ? `Running ${result.total} queries…` : result.message
+    });
+    return result;
+  }
+
+  // Only the places this run scraped, not everything stored, and only the
+  // latest few per schedule, so nightly runs do not fill local storage
+  async function saveScheduledSnapshot(name, since) {
+    const records = (await ScraperStorage.getRecords()).filter(r => String(r.scrapedAt || '') >= since);
+    if (records.length) await ScraperStorage.saveSnapshot(name, records);
+
+    await pruneSnapshots(snap => snap.name === name, SCHEDULED_SNAPSHOTS_KEPT);
+  }
+
+  // Results stay in storage like any run; a snapshot of them is saved so
+  // each scheduled run can be exported or compared later
+  async function finishScheduledRun(batch) {
+    const schedule = (await ScraperStorage.getSchedules()).find(s => s.id === batch.scheduleId);
+    const added = batch.jobs.reduce((sum, job) => sum + (job.count || 0), 0);
+    const failed = batch.jobs.filter(job => job.status === 'failed').length;
+    const name = schedule ? schedule.name : 'Scheduled run';
+    try {
+      await saveScheduledSnapshot(`${name} (scheduled)`, batch.createdAt);
+    } catch (err) {
+      log(`Could not save snapshot: ${err.message}`);
+    }
+    if (schedule) {
+      await ScraperStorage.updateSchedule(schedule.id, {
+        lastResult: `${added} new places` + (failed ? `, ${failed} queries failed` : ''),
+        lastFinishedAt: new Date().toISOString()
+      });
+    }
+    log(`Schedule "${name}" finished: ${added} new places`);
+    if (batch.closeTab) chrome.tabs.remove(batch.tabId).catch(() => {});
+  }
+
+  chrome.alarms.onAlarm.addListener((alarm) => {
+    const id = ScraperSchedule.scheduleIdOf(alarm.name);
+    if (!id) return;
+    runSchedule(id)
+      .catch(err => log(`Scheduled run failed: ${err.message}`))
+      .finally(() => syncAlarms());
+  });
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && 'schedules' in changes) {
+      syncAlarms().catch(err => log(`Could not set alarms: ${err.message}`));
+    }
+  });
+
+  chrome.runtime.onStartup.addListener(() => syncAlarms());
+  chrome.runtime.onInstalled.addListener(() => syncAlarms());
+
+  // ── Tab lifecycle ─────────────────────────────────────────────
+
+  chrome.tabs.onUpdated.addListener(async (tabId, changeInfo) => {
+    const status = await loadLiveStatus();
+
+    // A reload we did not ask for ends the run in that tab
+    if (changeInfo.status === 'loading' && status.tabId === tabId &&
+        status.isRunning && !status.navigating) {
+      await updateStatus({
+        isRunning: false,
+        progress: '',
+        message: 'Run interrupted by page reload'
+      }, 'stopped');
+      return;
+    }
+
+    if (changeInfo.status !== 'complete') return;
+
+    const batch = await ScraperStorage.getBatch();
+    if (!batch || batch.status !== 'running' || batch.tabId !== tabId) return;
+
+    const job = batch.jobs.find(j => j.status === 'navigating');
+    if (!job) return;
+
+    job.status = 'running';
+    await ScraperStorage.saveBatch(batch);
+
+    const response = await sendStartMessage(tabId, job.query);
+    if (!response) {
+      await finishJob('failed', { error: 'Could not reach the page' });
+    }
+  });
+
+  chrome.tabs.onRemoved.addListener(async (tabId) => {
+    const batch = await ScraperStorage.getBatch();
+    if (batch && batch.status === 'running' && batch.tabId === tabId) {
+      batch.status = 'stopped';
+      await ScraperStorage.saveBatch(batch);
+      log('Batch tab closed, batch stopped');
+    }
+
+    const status = await loadLiveStatus();
+    if (status.tabId === tabId) {
+      await updateStatus({
+        isRunning: false,
+        navigating: false,
+        tabId: null,
+        progress: '',
+        message: status.isRunning ? 'Run ended: tab was closed' : status.message
+      }, 'stopped');
+    }
+  });
+
+  // ── Messages from popup and content script ────────────────────
+
+  function respond(promise, sendResponse) {
+    promise
+      .then(sendResponse)
+      .catch(err => {
+        log(`Command failed: ${err.message}`);
+        sendResponse({ status: 'error', message: err.message });
+      });
+    return true; // keep the channel open for the async response
+  }
+
+  chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    // Events from content scripts carry the tab they came from
+    if (sender.tab) {
+      const tabId = sender.tab.id;
+      switch (request.action) {
+        case 'scrapingStarted':
+          updateStatus({
+            isRunning: true,
+            navigating: false,
+            tabId,
+            query: request.query || '',
+            rejected: 0,
+            message: 'Scraping in progress…',
+            error: null
+          }, 'started');
+          chrome.action.setBadgeText({ text: '' }).catch(() => {});
+          break;
+
+        case 'updateCount':
+          updateStatus({ count: request.count, rejected: request.rejected || 0 }, 'count');
+          break;
+
+        case 'updateProgress':
+          updateStatus({ progress: request.message || '' }, 'progress');
+          break;
+
+        case 'recordSaved':
+          streamRecord(request.record);
+          break;
+
+        case 'scrapingComplete':
+          updateStatus({
+            isRunning: false,
+            navigating: false,
+            count: request.count,
+            rejected: request.rejected || 0,
+            progress: '',
+            message: `Done — ${request.count} places scraped` +
+              (request.known ? ` · ${request.known} known places left out` : '') +
+              (request.rejected ? ` · ${request.rejected} filtered out` : '') +
+              (request.limit ? ` · stopped: ${request.limit}` : '')
+          }, 'complete');
+          handleBatchEvent(tabId, request);
+          break;
+
+        // Captcha or unusual-traffic page: the run stops with its checkpoint
+        // kept, and so does a batch, which would otherwise open the next query
+        case 'scrapingBlocked':
+          updateStatus({
+            isRunning: false,
+            navigating: false,
+            progress: '',
+            message: `Paused — ${request.message}`,
+            error: `${request.message}. Deal with it in the Maps tab, wait a while, then press Resume.`
+          }, 'error');
+          chrome.action.setBadgeText({ text: '!' }).catch(() => {});
+          stopBatch(false);
+          break;
+
+        case 'scrapingError':
+          updateStatus({
+            isRunning: false,
+            navigating: false,
+            error: request.message || 'An error occurred.'
+          }, 'error');
+          handleBatchEvent(tabId, request);
+          break;
+      }
+      return false;
+    }
+
+    switch (request.action) {
+      case 'getStatus':
+        return respond(getStatus(), sendResponse);
+
+      case 'startScraping':
+        return respond(startScraping(request.tabId), sendResponse);
+
+      case 'resumeScraping':
+        return respond(resumeScraping(request.tabId), sendResponse);
+
+      case 'stopScraping':
+        return respond(stopScraping(), sendResponse);
+
+      case 'resetData':
+        return respond(resetData(), sendResponse);
+
+      case 'export':
+        return respond(exportData(request.format, request.since), sendResponse);
+
+      // Edits and deletes from the results page land here so the worker,
+      // which also writes enrichment and delivery results, is the only
+      // writer of stored places and its write queue keeps them in order
+      case 'updateRecord':
+        return respond(ScraperStorage.updateRecord(request.url, request.changes || {})
+          .then(() => ({ status: 'saved' })), sendResponse);
+
+      // Settings too: the popup and the options page each have their own
+      // write queue, so saving from both at once would drop one side's change
+      case 'saveSettings':
+        return respond(ScraperStorage.saveSettings(request.changes || {})
+          .then(() => ({ status: 'saved' })), sendResponse);
+
+      case 'deleteRecords':
+        return respond(ScraperStorage.deleteRecords(request.urls || [])
+          .then(() => ({ status: 'deleted' })), sendResponse);
+
+      case 'exportReviews':
+        return respond(exportReviews(request.format), sendResponse);
+
+      case 'startEnrichment':
+        return respond(startEnrichment(), sendResponse);
+
+      case 'stopEnrichment':
+        return respond(stopEnrichment(), sendResponse);
+
+      case 'startDelivery':
+        return respond(startDelivery(request.target), sendResponse);
+
+      case 'stopDelivery':
+        return respond(stopDelivery(), sendResponse);
+
+      case 'startBatch':
+        return respond(startBatch(request.tabId, request.terms || [], request.locations || []), sendResponse);
+
+      case 'stopBatch':
+        return respond(stopBatch(), sendResponse);
+
+      case 'runSchedule':
+        return respond(runSchedule(request.id), sendResponse);
+
+      case 'getBatchStatus':
+        return respond(ScraperStorage.getBatch().then(summarize), sendResponse);
+    }
+    return false;
+  });
+})();
@@ -0,0 +1,131 @@
+// diff.js — Compare two scrape runs: added, removed and changed places
+//
+// Places are matched on the stored place URL without its query string,
+// the same key the content script saves records under. CSV output uses
+// exporters.js, which must be loaded first.
+
+(function (root) {
+  'use strict';
+
+  // Fields compared between runs, with how to read each for comparison
+  const DIFF_FIELDS = {
+    name: 'text',
+    category: 'text',
+    phone: 'text',
+    website: 'url',
+    address: 'text',
+    rating: 'number',
+    reviews: 'number'
+  };
+
+  function keyOf(record) {
+    return String(record.url || '').split('?')[0];
+  }
+
+  function fieldValue(record, field) {
+    const value = record[field];
+    return value === undefined || value === null ? '' : value;
+  }
+
+  // Two values are the same when they read the same: "4.2" equals 4.2,
+  // "https://x.in/" equals "https://x.in"
+  function comparable(value, kind) {
+    if (value === undefined || value === null) return '';
+    const text = String(value).trim();
+    if (kind === 'number') {
+      const number = parseFloat(text.replace(/,/g, ''));
+      return Number.isFinite(number) ? number : text;
+    }
+    if (kind === 'url') return text.replace(/\/+$/, '').toLowerCase();
+    return text.replace(/\s+/g, ' ');
+  }
+
+  // Accepts what the extension exports as JSON: a record list, or a GeoJSON
+  // FeatureCollection. Column-preset exports renamed the fields and cannot
+  // be matched
+  function parseRunFile(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Not a JSON file: ${err.message}`);
+    }
+    const records = data && data.type === 'FeatureCollection'
+      ? (data.features || []).map(feature => feature.properties || {})
+      : data;
+    if (!Array.isArray(records)) throw new Error('Expected a list of places');
+    if (records.length && !records.some(record => record && record.url)) {
+      throw new Error('No place URLs in this file — export JSON without a column preset');
+    }
+    return records.filter(record => record && record.url);
+  }
+
+  // Result: { added: [record], removed: [record], changed: [{ key, name, url, changes }], unchanged }
+  function diffRuns(before, after) {
+    const earlier = new Map(before.map(record => [keyOf(record), record]));
+    const later = new Map(after.map(record => [keyOf(record), record]));
+    const report = { added: [], removed: [], changed: [], unchanged: 0 };
+
+    for (const [key, record] of later) {
+      const previous = earlier.get(key);
+      if (!previous) {
+        report.added.push(record);
+        continue;
+      }
+      const changes = [];
+      for (const [field, kind] of Object.entries(DIFF_FIELDS)) {
+        if (comparable(previous[field], kind) !== comparable(record[field], kind)) {
+          changes.push({ field, before: fieldValue(previous, field), after: fieldValue(record, field) });
+        }
+      }
+      if (changes.length) report.changed.push({ key, name: record.name || previous.name, url: record.url, changes });
+      else report.unchanged++;
+    }
+    for (const [key, record] of earlier) {
+      if (!later.has(key)) report.removed.push(record);
+    }
+    return report;
+  }
+
+  // One row per added or removed place and one per changed field
+  function diffRows(report) {
+    const rows = [];
+    for (const r of report.added) rows.push(['added', r.name || '', keyOf(r), '', '', '']);
+    for (const r of report.removed) rows.push(['removed', r.name || '', keyOf(r), '', '', '']);
+    for (const place of report.changed) {
+      for (const change of place.changes) {
+        rows.push(['changed', place.name || '', place.key, change.field, change.before, change.after]);
+      }
+    }
+    return rows;
+  }
+
+  function buildDiffExport(format, report) {
+    if (format === 'csv') {
+      const header = ['Change', 'Name', 'Place URL', 'Field', 'Before', 'After'];
+      // Same quoting and byte-order mark as the reviews CSV (exporters.js)
+      const content = root.ScraperExporters.toCSV([header, ...diffRows(report)]);
+      return { content: '﻿' + content, filename: 'google-maps-diff.csv', mimeType: 'text/csv;charset=utf-8' };
+    }
+    if (format === 'json') {
+      return {
+        content: JSON.stringify(report, null, 2),
+        filename: 'google-maps-diff.json',
+        mimeType: 'application/json'
+      };
+    }
+    throw new Error(`Unknown diff export format: ${format}`);
+  }
+
+  const ScraperDiff = {
+    DIFF_FIELDS,
+    keyOf,
+    parseRunFile,
+    diffRuns,
+    diffRows,
+    buildDiffExport
+  };
+
+  root.ScraperDiff = ScraperDiff;
+  if (typeof module !== 'undefined' && module.exports) module.exports = ScraperDiff;
+})(globalThis);
@@ -0,0 +1,283 @@
+// enrich.js — Post-scrape pass: crawl each place's website for emails and social profiles
+//
+// Runs in the background worker, which may fetch any site once the user
+// grants the optional host permission. Pages are scanned as text because
+// service workers have no DOMParser.
+
+(function (root) {
+  'use strict';
+
+  const DEFAULT_OPTIONS = {
+    concurrency: 4,         // sites fetched at the same time
+    timeoutMs: 10000,       // per page
+    maxPages: 3,            // home page plus contact/about pages
+    maxBytes: 2 * 1024 * 1024
+  };
+
+  const SOCIAL_PATTERNS = {
+    facebook: /^https?:\/\/(?:www\.|m\.|web\.)?(?:facebook|fb)\.com\/(?!sharer|share|plugins|dialog|tr[/?]|login)[^?#\s]+/i,
+    instagram: /^https?:\/\/(?:www\.)?instagram\.com\/(?!p\/|reel\/|explore|share)[^?#\s]+/i,
+    linkedin: /^https?:\/\/(?:[a-z]{2,3}\.)?linkedin\.com\/(?:company|in|school)\/[^?#\s]+/i,
+    whatsapp: /^https?:\/\/(?:wa\.me|api\.whatsapp\.com|chat\.whatsapp\.com|web\.whatsapp\.com)\/[^#\s]*/i
+  };
+
+  // Link text or path of pages worth a second fetch
+  const CONTACT_PAGE = /contact|about|kontakt|impressum|contacto|nosotros|sobre|संपर्क|हमारे बारे/i;
+  const EMAIL = /[a-z0-9._%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}/gi;
+  const VALID_EMAIL = /^[a-z0-9._%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}$/;
+  // Retina image names ("logo@2x.png") and placeholder or tracker addresses
+  const IGNORED_EMAIL = /\.(?:png|jpe?g|gif|svg|webp|css|js)$|@(?:example\.|sentry|wixpress|domain\.com|email\.com)/i;
+
+  // ── Page scanning ─────────────────────────────────────────────
+
+  function decodeEntities(text) {
+    return text
+      .replace(/&amp;/g, '&')
+      .replace(/&#0*64;|&commat;/g, '@')
+      .replace(/&#0*46;|&period;/g, '.')
+      .replace(/&quot;/g, '"')
+      .replace(/&#0*39;/g, "'");
+  }
+
+  function extractLinks(html, baseUrl) {
+    const links = [];
+    const anchor = /<a\b[^>]*?\bhref\s*=\s*(["'])(.*?)\1[^>]*>([\s\S]*?)<\/a>/gi;
+    let match;
+    while ((match = anchor.exec(html))) {
+      const href = decodeEntities(match[2].trim());
+      const text = match[3].replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+      if (/^mailto:/i.test(href)) {
+        links.push({ href, text });
+        continue;
+      }
+      try {
+        links.push({ href: new URL(href, baseUrl).href, text });
+      } catch (_) { /* not a URL */ }
+    }
+    return links;
+  }
+
+  function cleanEmail(email) {
+    return email.trim().replace(/^\.+|\.+$/g, '').toLowerCase();
+  }
+
+  // Result: { emails: [], facebook, instagram, linkedin, whatsapp, pageLinks: [] }
+  function extractContacts(html, baseUrl) {
+    const contacts = { emails: [], facebook: '', instagram: '', linkedin: '', whatsapp: '', pageLinks: [] };
+    const emails = new Set();
+    const host = new URL(baseUrl).host;
+
+    for (const { href, text } of extractLinks(html, baseUrl)) {
+      if (/^mailto:/i.test(href)) {
+        let address;
+        try {
+          address = decodeURIComponent(href.slice(7).split('?')[0]);
+        } catch (_) {
+          continue;   // malformed escape such as %E0%A4: skip just this link
+        }
+        for (const email of address.split(',')) emails.add(cleanEmail(email));
+        continue;
+      }
+
+      for (const [network, pattern] of Object.entries(SOCIAL_PATTERNS)) {
+        const found = href.match(pattern);
+        if (found && !contacts[network]) contacts[network] = found[0];
+      }
+
+      const url = new URL(href);
+      if (url.host === host && (CONTACT_PAGE.test(url.pathname) || CONTACT_PAGE.test(text))) {
+        const page = url.origin + url.pathname;
+        if (page !== baseUrl && !contacts.pageLinks.includes(page)) contacts.pageLinks.push(page);
+      }
+    }
+
+    // Addresses written out in the text rather than linked
+    const text = decodeEntities(html.replace(/<script[\s\S]*?<\/script>|<style[\s\S]*?<\/style>/gi, ' '));
+    for (const email of text.match(EMAIL) || []) emails.add(cleanEmail(email));
+
+    contacts.emails = Array.from(emails).filter(email => VALID_EMAIL.test(email) && !IGNORED_EMAIL.test(email));
+    return contacts;
+  }
+
+  // ── Fetching ──────────────────────────────────────────────────
+
+  // Reads at most maxBytes of the body and cancels the rest of the download
+  async function readLimited(response, maxBytes) {
+    if (!response.body) return (await response.text()).slice(0, maxBytes);
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let html = '';
+    let received = 0;
+    while (received < maxBytes) {
+      const { done, value } = await reader.read();
+      if (done) return html + decoder.decode();
+      const chunk = value.subarray(0, maxBytes - received);
+      received += chunk.length;
+      html += decoder.decode(chunk, { stream: true });
+    }
+    await reader.cancel();
+    return html + decoder.decode();
+  }
+
+  async function fetchPage(url, options) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), options.timeoutMs);
+    try {
+      const response = await options.fetchImpl(url, {
+        signal: controller.signal,
+        credentials: 'omit',
+        redirect: 'follow'
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const type = response.headers.get('content-type') || '';
+      if (type && !/html|text\/plain/i.test(type)) throw new Error(`Not a web page (${type})`);
+      const html = await readLimited(response, options.maxBytes);
+      return { html, url: response.url || url };
+    } catch (err) {
+      if (err.name === 'AbortError') throw new Error(`Timed out after ${options.timeoutMs} ms`);
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Maps stores sites as "example.com" as often as "https://example.com/"
+  function normalizeWebsite(website) {
+    const text = String(website || '').trim();
+    if (!text) return '';
+    try {
+      return new URL(/^https?:\/\//i.test(text) ? text : `https://${text}`).href;
+    } catch (_) {
+      return '';
+    }
+  }
+
+  function domainOf(url) {
+    return new URL(url).host.replace(/^www\./, '').toLowerCase();
+  }
+
+  function mergeContacts(target, found) {
+    for (const email of found.emails) {
+      if (!target.emails.includes(email)) target.emails.push(email);
+    }
+    for (const network of Object.keys(SOCIAL_PATTERNS)) {
+      if (!target[network] && found[network]) target[network] = found[network];
+    }
+  }
+
+  async function crawlSite(startUrl, options) {
+    const contacts = { emails: [], facebook: '', instagram: '', linkedin: '', whatsapp: '' };
+
+    // A Facebook or Instagram page listed as the website is the profile itself
+    for (const [network, pattern] of Object.entries(SOCIAL_PATTERNS)) {
+      if (pattern.test(startUrl)) {
+        contacts[network] = startUrl;
+        return contacts;
+      }
+    }
+
+    const home = await fetchPage(startUrl, options);
+    const found = extractContacts(home.html, home.url);
+    mergeContacts(contacts, found);
+
+    // Sub-page failures only cost what those pages would have added
+    for (const page of found.pageLinks.slice(0, options.maxPages - 1)) {
+      try {
+        const { html, url } = await fetchPage(page, options);
+        mergeContacts(contacts, extractContacts(html, url));
+      } catch (err) {
+        options.log(`Skipped ${page}: ${err.message}`);
+      }
+    }
+    return contacts;
+  }
+
+  // ── Enrichment pass ───────────────────────────────────────────
+
+  // Chains list the same site on every branch; each domain is crawled
+  // once per enricher and later records reuse the result
+  function createEnricher(overrides = {}) {
+    const options = {
+      ...DEFAULT_OPTIONS,
+      fetchImpl: (...args) => root.fetch(...args),
+      log: () => {},
+      ...overrides
+    };
+    const cache = new Map();
+
+    return {
+      cache,
+      enrichWebsite(website) {
+        const url = normalizeWebsite(website);
+        if (!url) return Promise.reject(new Error('No usable website'));
+        const domain = domainOf(url);
+        if (!cache.has(domain)) cache.set(domain, crawlSite(url, options));
+        return cache.get(domain);
+      }
+    };
+  }
+
+  // Runs worker over items with at most `limit` in flight
+  async function runPool(items, limit, worker, shouldStop = () => false) {
+    let next = 0;
+    const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+      while (next < items.length && !shouldStop()) {
+        const index = next++;
+        await worker(items[index], index);
+      }
+    });
+    await Promise.all(lanes);
+  }
+
+  // Fields added to each record; emails is a list
+  function toRecordFields(contacts, error) {
+    return {
+      emails: contacts ? contacts.emails : [],
+      facebook: contacts ? contacts.facebook : '',
+      instagram: contacts ? contacts.instagram : '',
+      linkedin: contacts ? contacts.linkedin : '',
+      whatsapp: contacts ? contacts.whatsapp : '',
+      enrichedAt: new Date().toISOString(),
+      enrichError: error || ''
+    };
+  }
+
+  // onResult(record, fields) is called as each record finishes so the
+  // caller can save and report progress
+  async function enrichRecords(records, overrides = {}) {
+    const { onResult = () => {}, shouldStop, ...options } = overrides;
+    const merged = { ...DEFAULT_OPTIONS, ...options };
+    const enricher = createEnricher(merged);
+    const summary = { enriched: 0, failed: 0, skipped: 0 };
+
+    await runPool(records, merged.concurrency, async (record) => {
+      if (!normalizeWebsite(record.website)) {
+        summary.skipped++;
+        return;
+      }
+      let fields;
+      try {
+        fields = toRecordFields(await enricher.enrichWebsite(record.website));
+        summary.enriched++;
+      } catch (err) {
+        fields = toRecordFields(null, err.message);
+        summary.failed++;
+      }
+      await onResult(record, fields);
+    }, shouldStop);
+
+    return summary;
+  }
+
+  const ScraperEnrich = {
+    DEFAULT_OPTIONS,
+    extractContacts,
+    normalizeWebsite,
+    createEnricher,
+    runPool,
+    enrichRecords
+  };
+
+  root.ScraperEnrich = ScraperEnrich;
+  if (typeof module !== 'undefined' && module.exports) module.exports = ScraperEnrich;
+})(globalThis);
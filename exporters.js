@@ -0,0 +1,491 @@
+// exporters.js — Build export files (CSV, Excel, JSON, GeoJSON, KML, vCard) from stored records and reviews
+
+(function (root) {
+  'use strict';
+
+  const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+  // ── Opening hours ─────────────────────────────────────────────
+
+  // One weekday as a spreadsheet cell: "09:00–13:00, 16:00–20:00"
+  function formatDayHours(day) {
+    if (!day) return '';
+    if (day.status === 'open24') return 'Open 24 hours';
+    if (day.status === 'closed') return 'Closed';
+    if (!day.periods.length) return day.text || '';
+    return day.periods.map(p => `${p.open}–${p.close}`).join(', ');
+  }
+
+  function capitalize(word) {
+    return word.charAt(0).toUpperCase() + word.slice(1);
+  }
+
+  // true/false as yes/no; unknown (null) stays blank
+  function formatFlag(value) {
+    if (value === true) return 'yes';
+    if (value === false) return 'no';
+    return '';
+  }
+
+  // ── Columns ───────────────────────────────────────────────────
+  // One entry per export column. `type` tells typed formats how to store
+  // the cell: 'text' (kept verbatim, e.g. phones), 'number' or 'link'
+
+  function column(key, header, type = 'text', value = d => d[key]) {
+    return { key, header, type, value };
+  }
+
+  const COLUMNS = [
+    column('name', 'Name'),
+    column('category', 'Category'),
+    column('phone', 'Phone'),
+    column('phoneE164', 'Phone (E.164)'),
+    column('phoneNational', 'Phone (National)'),
+    column('phoneValid', 'Phone Valid', 'text', d => formatFlag(d.phoneValid)),
+    column('website', 'Website', 'link'),
+    column('emails', 'Emails', 'text', d => (d.emails || []).join('; ')),
+    column('facebook', 'Facebook', 'link'),
+    column('instagram', 'Instagram', 'link'),
+    column('linkedin', 'LinkedIn', 'link'),
+    column('whatsapp', 'WhatsApp', 'link'),
+    column('address', 'Address'),
+    column('street', 'Street'),
+    column('city', 'City'),
+    column('region', 'Region'),
+    column('postalCode', 'Postal Code'),
+    column('country', 'Country'),
+    column('rating', 'Rating', 'number'),
+    column('reviews', 'Reviews', 'number'),
+    column('priceLevel', 'Price Level'),
+    ...WEEKDAYS.map(day => column(day, capitalize(day), 'text', d => formatDayHours(d.hours && d.hours[day]))),
+    column('plusCode', 'Plus Code'),
+    column('latitude', 'Latitude', 'number'),
+    column('longitude', 'Longitude', 'number'),
+    column('placeId', 'Place ID'),
+    column('cid', 'CID'),   // text: 20 digits is past what a spreadsheet number keeps
+    column('query', 'Query'),
+    column('url', 'URL', 'link'),
+    column('firstSeenAt', 'First Seen'),
+    column('seenBefore', 'Seen Before', 'text', d => formatFlag(d.seenBefore)),
+    column('changedFields', 'Changed Fields', 'text', d => (d.changedFields || []).join('; ')),
+    column('scrapedAt', 'Scraped At')
+  ];
+
+  const COLUMN_BY_KEY = new Map(COLUMNS.map(col => [col.key, col]));
+
+  function cellValue(col, record) {
+    const value = col.value(record);
+    return value === undefined || value === null ? '' : value;
+  }
+
+  function recordRows(records, columns = COLUMNS) {
+    return records.map(d => columns.map(col => cellValue(col, d)));
+  }
+
+  // ── Export schema ─────────────────────────────────────────────
+  // A saved preset picks, orders and renames columns and sets the CSV
+  // delimiter and filename pattern:
+  //   { name, columns: [{ key, header }], delimiter, filename }
+  // The same preset drives CSV, Excel and JSON.
+
+  const DELIMITERS = [',', ';', '\t', '|'];
+  const DEFAULT_FILENAME = 'google-maps-data';
+
+  function defaultSchema() {
+    return {
+      name: '',
+      columns: COLUMNS.map(({ key, header }) => ({ key, header })),
+      delimiter: ',',
+      filename: DEFAULT_FILENAME
+    };
+  }
+
+  // Throws with a message fit for the options page
+  function validateSchema(schema) {
+    if (!schema || typeof schema !== 'object') throw new Error('Preset must be an object');
+    if (!Array.isArray(schema.columns) || schema.columns.length === 0) {
+      throw new Error('Pick at least one column');
+    }
+    const seen = new Set();
+    for (const { key } of schema.columns) {
+      if (!COLUMN_BY_KEY.has(key)) throw new Error(`Unknown column: ${key}`);
+      if (seen.has(key)) throw new Error(`Column listed twice: ${key}`);
+      seen.add(key);
+    }
+    if (schema.delimiter !== undefined && !DELIMITERS.includes(schema.delimiter)) {
+      throw new Error(`Unsupported delimiter: ${JSON.stringify(schema.delimiter)}`);
+    }
+    return true;
+  }
+
+  // Preset → { columns (full column objects), delimiter, filename };
+  // no preset means every column under its built-in header
+  function resolveSchema(schema) {
+    if (!schema) return { columns: COLUMNS, delimiter: ',', filename: DEFAULT_FILENAME };
+    return {
+      columns: schema.columns.map(({ key, header }) => {
+        const col = COLUMN_BY_KEY.get(key);
+        return { ...col, header: String(header || '').trim() || col.header };
+      }),
+      delimiter: schema.delimiter || ',',
+      filename: schema.filename || DEFAULT_FILENAME
+    };
+  }
+
+  function pad(n) {
+    return String(n).padStart(2, '0');
+  }
+
+  // Tokens: {date} 2024-05-31, {time} 1405, {query}, {count}
+  function formatFilename(pattern, context = {}) {
+    const now = context.now || new Date();
+    const tokens = {
+      date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+      time: `${pad(now.getHours())}${pad(now.getMinutes())}`,
+      query: context.query || '',
+      count: context.count === undefined ? '' : String(context.count)
+    };
+    const name = String(pattern || DEFAULT_FILENAME)
+      .replace(/\{(\w+)\}/g, (match, token) => (token in tokens ? tokens[token] : match))
+      .replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '-')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(/^[-. ]+|[-. ]+$/g, '');
+    return name || DEFAULT_FILENAME;
+  }
+
+  // ── Incremental exports ───────────────────────────────────────
+
+  // Places first seen on or after a local date ("2024-05-31"). Records
+  // from before the place index have no firstSeenAt; scrapedAt stands in
+  function newSince(records, since) {
+    if (!since) return records;
+    const [year, month, day] = String(since).split('-').map(Number);
+    const start = new Date(year, month - 1, day);
+    if (Number.isNaN(start.getTime())) throw new Error(`Not a date: ${since}`);
+    return records.filter(record => new Date(record.firstSeenAt || record.scrapedAt) >= start);
+  }
+
+  // ── CSV ───────────────────────────────────────────────────────
+
+  // schema is the resolved one (resolveSchema)
+  function schemaCSV(records, schema) {
+    return toCSV([schema.columns.map(col => col.header), ...recordRows(records, schema.columns)],
+      schema.delimiter);
+  }
+
+  function generateCSVContent(records, preset) {
+    return schemaCSV(records, resolveSchema(preset));
+  }
+
+  function toCSV(rows, delimiter = ',') {
+    return rows
+      .map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(delimiter))
+      .join('\n');
+  }
+
+  // ── JSON ──────────────────────────────────────────────────────
+
+  // With a preset, each place becomes { header: value } over the chosen
+  // columns; number columns are emitted as numbers
+  function presetObjects(records, columns) {
+    return records.map(d => {
+      const row = {};
+      for (const col of columns) {
+        const value = cellValue(col, d);
+        const number = col.type === 'number' && value !== '' ? Number(value) : NaN;
+        row[col.header] = Number.isFinite(number) ? number : value;
+      }
+      return row;
+    });
+  }
+
+  // ── Map formats ───────────────────────────────────────────────
+
+  // [longitude, latitude] from the record, else from its Maps URL
+  // (records saved before coordinates were split out); null if neither
+  function coordinatesOf(record) {
+    let lat = parseFloat(record.latitude);
+    let lng = parseFloat(record.longitude);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+      const url = record.url || '';
+      const found = url.match(/!3d(-?\d+(?:\.\d+)?)!4d(-?\d+(?:\.\d+)?)/) ||
+                    url.match(/@(-?\d+\.\d+),(-?\d+\.\d+)/);
+      if (!found) return null;
+      lat = parseFloat(found[1]);
+      lng = parseFloat(found[2]);
+    }
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+    return [lng, lat];
+  }
+
+  // Properties are the full record, or the preset's columns when one is in use
+  function generateGeoJSONContent(records, columns, preset) {
+    const properties = preset ? presetObjects(records, columns) : records;
+    const features = [];
+    records.forEach((record, i) => {
+      const coordinates = coordinatesOf(record);
+      if (!coordinates) return;
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates },
+        properties: properties[i]
+      });
+    });
+    return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+  }
+
+  function escapeXml(text) {
+    return String(text)
+      .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // One Placemark per place; the chosen columns go in ExtendedData so
+  // My Maps shows them as fields
+  function generateKMLContent(records, columns) {
+    const placemarks = [];
+    for (const record of records) {
+      const coordinates = coordinatesOf(record);
+      if (!coordinates) continue;
+      const data = columns
+        .map(col => [col.header, cellValue(col, record)])
+        .filter(([, value]) => value !== '')
+        .map(([header, value]) =>
+          `        <Data name="${escapeXml(header)}"><value>${escapeXml(value)}</value></Data>`);
+      placemarks.push([
+        '    <Placemark>',
+        `      <name>${escapeXml(record.name || '')}</name>`,
+        `      <description>${escapeXml([record.category, record.address].filter(Boolean).join(' · '))}</description>`,
+        '      <ExtendedData>',
+        ...data,
+        '      </ExtendedData>',
+        `      <Point><coordinates>${coordinates[0]},${coordinates[1]},0</coordinates></Point>`,
+        '    </Placemark>'
+      ].join('\n'));
+    }
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<kml xmlns="http://www.opengis.net/kml/2.2">',
+      '  <Document>',
+      '    <name>Google Maps places</name>',
+      ...placemarks,
+      '  </Document>',
+      '</kml>'
+    ].join('\n');
+  }
+
+  // ── vCard ─────────────────────────────────────────────────────
+  // vCard 3.0 (RFC 2426): one card per business, CRLF line endings,
+  // lines folded at 75 octets
+
+  function escapeVCard(text) {
+    return String(text || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/\r?\n/g, '\\n')
+      .replace(/([,;])/g, '\\$1');
+  }
+
+  function foldLine(line) {
+    const bytes = new TextEncoder().encode(line);
+    if (bytes.length <= 75) return line;
+    const parts = [];
+    let current = '';
+    let size = 0;
+    // Fold between characters, never inside a multi-byte one
+    for (const char of line) {
+      const width = new TextEncoder().encode(char).length;
+      if (size + width > (parts.length ? 74 : 75)) {
+        parts.push(current);
+        current = '';
+        size = 0;
+      }
+      current += char;
+      size += width;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
+
+  function generateVCardContent(records) {
+    const cards = records.filter(record => record.name).map(record => {
+      const lines = [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        `FN:${escapeVCard(record.name)}`,
+        `N:${escapeVCard(record.name)};;;;`,
+        `ORG:${escapeVCard(record.name)}`,
+        'X-ABShowAs:COMPANY'   // iOS/macOS list it as a business, not a person
+      ];
+      if (record.category) lines.push(`TITLE:${escapeVCard(record.category)}`);
+      const phone = record.phoneE164 || record.phone;
+      if (phone) lines.push(`TEL;TYPE=WORK,VOICE:${escapeVCard(phone)}`);
+      for (const email of record.emails || []) lines.push(`EMAIL;TYPE=INTERNET,WORK:${escapeVCard(email)}`);
+      if (record.website) lines.push(`URL:${escapeVCard(record.website)}`);
+      if (record.address) {
+        // ADR: PO box; extended; street; city; region; postal code; country
+        const street = record.street || (record.city ? '' : record.address);
+        lines.push('ADR;TYPE=WORK:;;' + [street, record.city, record.region, record.postalCode, record.country]
+          .map(escapeVCard).join(';'));
+        lines.push(`LABEL;TYPE=WORK:${escapeVCard(record.address)}`);
+      }
+      const coordinates = coordinatesOf(record);
+      if (coordinates) lines.push(`GEO:${coordinates[1]};${coordinates[0]}`);
+      if (record.url) lines.push(`NOTE:${escapeVCard(`Google Maps: ${record.url}`)}`);
+      lines.push('END:VCARD');
+      return lines.map(foldLine).join('\r\n');
+    });
+    return cards.join('\r\n') + (cards.length ? '\r\n' : '');
+  }
+
+  // ── Reviews ───────────────────────────────────────────────────
+  // One row per review; "Place URL" links back to the URL column of the
+  // places export
+
+  function generateReviewsCSVContent(reviewSets) {
+    const headers = ['Place URL', 'Place Name', 'Author', 'Rating', 'Date', 'Text', 'Owner Response'];
+    const rows = [];
+    for (const set of reviewSets) {
+      for (const r of set.reviews) {
+        rows.push([
+          set.placeUrl || '',
+          set.name || '',
+          r.author || '',
+          r.rating || '',
+          r.date || '',
+          r.text || '',
+          r.ownerResponse || ''
+        ]);
+      }
+    }
+    return toCSV([headers, ...rows]);
+  }
+
+  // ── Formats ───────────────────────────────────────────────────
+  // Each format turns the record list and the resolved schema into
+  // { content, extension, mimeType }; buildExport adds the filename
+
+  const FORMATS = {
+    csv(records, schema) {
+      return {
+        content: schemaCSV(records, schema),
+        extension: 'csv',
+        mimeType: 'text/csv;charset=utf-8'
+      };
+    },
+
+    // Real workbook (xlsx.js): numbers stay numbers, phones stay text
+    excel(records, schema) {
+      return {
+        content: root.ScraperXLSX.buildWorkbook({
+          sheetName: 'Places',
+          columns: schema.columns,
+          rows: recordRows(records, schema.columns)
+        }),
+        extension: 'xlsx',
+        mimeType: root.ScraperXLSX.MIME_TYPE
+      };
+    },
+
+    // Without a preset the full records are dumped, hours and all
+    json(records, schema, preset) {
+      return {
+        content: JSON.stringify(preset ? presetObjects(records, schema.columns) : records, null, 2),
+        extension: 'json',
+        mimeType: 'application/json'
+      };
+    },
+
+    // Places without coordinates are left out of the map formats
+    geojson(records, schema, preset) {
+      return {
+        content: generateGeoJSONContent(records, schema.columns, preset),
+        extension: 'geojson',
+        mimeType: 'application/geo+json'
+      };
+    },
+
+    kml(records, schema) {
+      return {
+        content: generateKMLContent(records, schema.columns),
+        extension: 'kml',
+        mimeType: 'application/vnd.google-earth.kml+xml'
+      };
+    },
+
+    // Contact fields are fixed by the format, so presets only set the filename
+    vcard(records) {
+      return {
+        content: generateVCardContent(records),
+        extension: 'vcf',
+        mimeType: 'text/vcard;charset=utf-8'
+      };
+    }
+  };
+
+  const REVIEW_FORMATS = {
+    csv(reviewSets) {
+      return {
+        content: '﻿' + generateReviewsCSVContent(reviewSets),
+        filename: 'google-maps-reviews.csv',
+        mimeType: 'text/csv;charset=utf-8'
+      };
+    },
+
+    json(reviewSets) {
+      // Keyed by place URL so it joins against the places export
+      const byPlace = {};
+      for (const set of reviewSets) byPlace[set.placeUrl] = set;
+      return {
+        content: JSON.stringify(byPlace, null, 2),
+        filename: 'google-maps-reviews.json',
+        mimeType: 'application/json'
+      };
+    }
+  };
+
+  // options: { preset, query } — query fills the {query} filename token
+  function buildExport(format, records, options = {}) {
+    const build = FORMATS[format];
+    if (!build) throw new Error(`Unknown export format: ${format}`);
+    const schema = resolveSchema(options.preset);
+    const { content, extension, mimeType } = build(records, schema, options.preset);
+    const name = formatFilename(schema.filename, { query: options.query, count: records.length });
+    return { content, filename: `${name}.${extension}`, mimeType };
+  }
+
+  function buildReviewsExport(format, reviewSets) {
+    const build = REVIEW_FORMATS[format];
+    if (!build) throw new Error(`Unknown reviews export format: ${format}`);
+    return build(reviewSets);
+  }
+
+  const ScraperExporters = {
+    FORMATS,
+    COLUMNS,
+    DELIMITERS,
+    WEEKDAYS,
+    formatDayHours,
+    REVIEW_FORMATS,
+    defaultSchema,
+    validateSchema,
+    resolveSchema,
+    formatFilename,
+    newSince,
+    coordinatesOf,
+    generateCSVContent,
+    toCSV,
+    generateGeoJSONContent,
+    generateKMLContent,
+    generateVCardContent,
+    generateReviewsCSVContent,
+    buildExport,
+    buildReviewsExport
+  };
+
+  root.ScraperExporters = ScraperExporters;
+  if (typeof module !== 'undefined' && module.exports) module.exports = ScraperExporters;
+})(globalThis);
@@ -0,0 +1,111 @@
+// filters.js — Lead filters applied to each place before it is kept
+//
+// Rules are saved in settings and read by the content script at the start
+// of a run. All conditions that are set must hold; unset ones are ignored.
+
+(function (root) {
+  'use strict';
+
+  const DEFAULT_RULES = {
+    enabled: false,
+    minRating: null,        // rating ≥ this; places without a rating fail
+    minReviews: null,       // review count ≥ this
+    reviewsBelow: null,     // review count < this; no reviews counts as 0
+    website: 'any',         // 'any', 'with' or 'without'
+    phone: 'any',
+    categoryKeywords: [],   // category contains any of these
+    excludeKeywords: []     // category contains none of these
+  };
+
+  const PRESENCE = ['any', 'with', 'without'];
+
+  function toNumber(value) {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+    const number = parseFloat(String(value).replace(',', '.'));
+    return Number.isFinite(number) ? number : null;
+  }
+
+  // "dentist, dental clinic\northodontist" → ['dentist', 'dental clinic', 'orthodontist']
+  function parseKeywords(text) {
+    const list = Array.isArray(text) ? text : String(text || '').split(/[,\n]/);
+    return list.map(word => String(word).trim().toLowerCase()).filter(Boolean);
+  }
+
+  // Fills in defaults and coerces what the popup form produced
+  function normalizeRules(rules) {
+    const merged = { ...DEFAULT_RULES, ...(rules || {}) };
+    return {
+      enabled: !!merged.enabled,
+      minRating: toNumber(merged.minRating),
+      minReviews: toNumber(merged.minReviews),
+      reviewsBelow: toNumber(merged.reviewsBelow),
+      website: PRESENCE.includes(merged.website) ? merged.website : 'any',
+      phone: PRESENCE.includes(merged.phone) ? merged.phone : 'any',
+      categoryKeywords: parseKeywords(merged.categoryKeywords),
+      excludeKeywords: parseKeywords(merged.excludeKeywords)
+    };
+  }
+
+  // Plain-language list of the conditions in force, for the popup and the
+  // file saved next to exports
+  function describeRules(rules) {
+    const r = normalizeRules(rules);
+    if (!r.enabled) return [];
+    const parts = [];
+    if (r.minRating !== null) parts.push(`rating ≥ ${r.minRating}`);
+    if (r.minReviews !== null) parts.push(`at least ${r.minReviews} reviews`);
+    if (r.reviewsBelow !== null) parts.push(`fewer than ${r.reviewsBelow} reviews`);
+    if (r.website !== 'any') parts.push(r.website === 'with' ? 'has a website' : 'no website');
+    if (r.phone !== 'any') parts.push(r.phone === 'with' ? 'has a phone number' : 'no phone number');
+    if (r.categoryKeywords.length) parts.push(`category contains ${r.categoryKeywords.join(' or ')}`);
+    if (r.excludeKeywords.length) parts.push(`category does not contain ${r.excludeKeywords.join(' or ')}`);
+    return parts;
+  }
+
+  function isActive(rules) {
+    return describeRules(rules).length > 0;
+  }
+
+  function presenceFails(value, wanted) {
+    const present = String(value || '').trim() !== '';
+    return (wanted === 'with' && !present) || (wanted === 'without' && present);
+  }
+
+  // record is extractAllData() output. Result: { pass, reasons: [] }
+  function evaluate(record, rules) {
+    const r = normalizeRules(rules);
+    const reasons = [];
+    if (!r.enabled) return { pass: true, reasons };
+
+    const rating = toNumber(record.rating);
+    const reviews = toNumber(record.reviews) || 0;
+    const category = String(record.category || '').toLowerCase();
+
+    if (r.minRating !== null && (rating === null || rating < r.minRating)) {
+      reasons.push(rating === null ? 'no rating' : `rating ${rating} < ${r.minRating}`);
+    }
+    if (r.minReviews !== null && reviews < r.minReviews) reasons.push(`${reviews} reviews < ${r.minReviews}`);
+    if (r.reviewsBelow !== null && reviews >= r.reviewsBelow) reasons.push(`${reviews} reviews ≥ ${r.reviewsBelow}`);
+    if (presenceFails(record.website, r.website)) reasons.push(r.website === 'with' ? 'no website' : 'has a website');
+    if (presenceFails(record.phone, r.phone)) reasons.push(r.phone === 'with' ? 'no phone' : 'has a phone');
+    if (r.categoryKeywords.length && !r.categoryKeywords.some(word => category.includes(word))) {
+      reasons.push(`category "${record.category || ''}" not wanted`);
+    }
+    if (r.excludeKeywords.some(word => category.includes(word))) {
+      reasons.push(`category "${record.category}" excluded`);
+    }
+    return { pass: reasons.length === 0, reasons };
+  }
+
+  const ScraperFilters = {
+    DEFAULT_RULES,
+    parseKeywords,
+    normalizeRules,
+    describeRules,
+    isActive,
+    evaluate
+  };
+
+  root.ScraperFilters = ScraperFilters;
+  if (typeof module !== 'undefined' && module.exports) module.exports = ScraperFilters;
+})(globalThis);
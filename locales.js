@@ -0,0 +1,176 @@
+// locales.js — Translated labels and number formats for non-English Maps interfaces
+//
+// Each locale only lists what differs from the built-in English profile in
+// selectors.js; mergeProfile() layers it between the built-in profile and
+// the user's saved overrides.
+
+(function (root) {
+  'use strict';
+
+  const LOCALES = {
+    en: {
+      name: 'English',
+      decimal: '.',
+      group: ',',
+      weekdays: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'],
+      selectors: {},
+      patterns: {},
+      ignoredHeadings: []
+    },
+
+    de: {
+      name: 'Deutsch',
+      decimal: ',',
+      group: '.',
+      weekdays: ['montag', 'dienstag', 'mittwoch', 'donnerstag', 'freitag', 'samstag', 'sonntag'],
+      selectors: {
+        cardPhoneLabel: '[aria-label*="Telefon"]',
+        phoneLabelButton: 'button[aria-label^="Telefon"]',
+        ratingImage: 'div[role="img"][aria-label*="Stern"], span[role="img"][aria-label*="Stern"]',
+        reviewsLabel: 'span[aria-label*="Rezensionen"]',
+        hotelStars: 'span[aria-label*="Sterne-Hotel"]',
+        priceLabel: 'span[aria-label^="Preis"]',
+        hoursToggle: '[aria-label*="Öffnungszeiten"], div.t39EBf[aria-label]',
+        reviewMoreButton: 'button.w8nwRe, button[aria-label="Mehr"], button[jsaction*="expandReview"]',
+        reviewRating: 'span[role="img"][aria-label*="Stern"]'
+      },
+      patterns: {
+        phoneLabel: '/^Telefon(nummer)?:\\s*/i',
+        addressLabel: '/^Adresse:\\s*/i',
+        ratingStars: '/([\\d,.]+)\\s*Stern/i',
+        reviewCount: '/([\\d.]+)\\s*Rezension/i',
+        reviewsTab: '/Rezensionen/i',
+        categoryExclude: '/Stern|Rezension|Geöffnet|Geschlossen|·|^\\d/',
+        endOfList: '/Ende der Liste/i',
+        open24: '/24 Stunden geöffnet|rund um die Uhr/i',
+        closed: '/^geschlossen/i',
+        hideHours: '/\\.?\\s*Öffnungszeiten[^;]*ausblenden.*$/i',
+        timeRange: '/\\s*(?:–|—|-|\\bbis\\b)\\s*/i'
+      },
+      ignoredHeadings: ['Ergebnisse']
+    },
+
+    es: {
+      name: 'Español',
+      decimal: ',',
+      group: '.',
+      weekdays: ['lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado', 'domingo'],
+      selectors: {
+        cardPhoneLabel: '[aria-label*="Teléfono"]',
+        phoneLabelButton: 'button[aria-label^="Teléfono"]',
+        ratingImage: 'div[role="img"][aria-label*="estrella"], span[role="img"][aria-label*="estrella"]',
+        reviewsLabel: 'span[aria-label*="reseñas"]',
+        hotelStars: 'span[aria-label*="Hotel de"]',
+        priceLabel: 'span[aria-label^="Precio"]',
+        hoursToggle: '[aria-label*="horario" i], div.t39EBf[aria-label]',
+        reviewMoreButton: 'button.w8nwRe, button[aria-label="Ver más"], button[jsaction*="expandReview"]',
+        reviewRating: 'span[role="img"][aria-label*="estrella"]'
+      },
+      patterns: {
+        phoneLabel: '/^Teléfono:\\s*/i',
+        websiteLabel: '/^Sitio web:\\s*/i',
+        addressLabel: '/^Dirección:\\s*/i',
+        plusCodeLabel: '/^Código plus:\\s*/i',
+        ratingStars: '/([\\d,.]+)\\s*estrella/i',
+        reviewCount: '/([\\d.]+)\\s*reseña/i',
+        reviewsTab: '/Reseñas/i',
+        categoryExclude: '/estrella|reseña|Abierto|Cerrado|·|^\\d/',
+        endOfList: '/final de la lista/i',
+        open24: '/abierto las 24 horas|24 horas/i',
+        closed: '/^cerrado/i',
+        hideHours: '/\\.?\\s*Ocultar (el )?horario.*$/i',
+        // "de 9:00 a 14:00"; "a" must stand alone so "a. m." survives
+        timeRange: '/\\s*(?:–|—|-|\\s+a\\s+)\\s*/i'
+      },
+      ignoredHeadings: ['Resultados']
+    },
+
+    hi: {
+      name: 'हिन्दी',
+      decimal: '.',
+      group: ',',
+      weekdays: ['सोमवार', 'मंगलवार', 'बुधवार', 'गुरुवार', 'शुक्रवार', 'शनिवार', 'रविवार'],
+      selectors: {
+        cardPhoneLabel: '[aria-label*="फ़ोन"], [aria-label*="फोन"]',
+        phoneLabelButton: 'button[aria-label^="फ़ोन"], button[aria-label^="फोन"]',
+        ratingImage: 'div[role="img"][aria-label*="स्टार"], span[role="img"][aria-label*="स्टार"]',
+        reviewsLabel: 'span[aria-label*="समीक्षा"]',
+        hotelStars: 'span[aria-label*="स्टार होटल"]',
+        priceLabel: 'span[aria-label^="कीमत"]',
+        hoursToggle: '[aria-label*="खुलने का समय"], div.t39EBf[aria-label]',
+        reviewRating: 'span[role="img"][aria-label*="स्टार"]'
+      },
+      patterns: {
+        phoneLabel: '/^(फ़ोन|फोन)( नंबर)?:\\s*/',
+        websiteLabel: '/^वेबसाइट:\\s*/',
+        addressLabel: '/^पता:\\s*/',
+        plusCodeLabel: '/^प्लस कोड:\\s*/',
+        ratingStars: '/([\\d.,]+)\\s*स्टार/',
+        reviewCount: '/([\\d,]+)\\s*समीक्षा/',
+        reviewsTab: '/समीक्षा/',
+        categoryExclude: '/स्टार|समीक्षा|खुला|बंद|·|^\\d/',
+        endOfList: '/सूची के (आखिर|अंत)/',
+        open24: '/24 घंटे खुला/',
+        closed: '/^बंद/',
+        hideHours: '/\\.?\\s*[^;]*खुलने का समय छिपाएं.*$/',
+        timeRange: '/\\s*(?:–|—|-|\\sसे\\s)\\s*/'
+      },
+      ignoredHeadings: ['नतीजे', 'परिणाम']
+    }
+  };
+
+  const DEFAULT_LOCALE = 'en';
+
+  // The hl= URL parameter wins over the page language: it is what the user
+  // asked Maps for, and the page can lag behind it until a reload
+  function detectLocale(doc, url) {
+    const candidates = [];
+    try {
+      candidates.push(new URL(url).searchParams.get('hl'));
+    } catch (_) { /* not a URL */ }
+    if (doc && doc.documentElement) candidates.push(doc.documentElement.getAttribute('lang'));
+
+    for (const candidate of candidates) {
+      const code = (candidate || '').split(/[-_]/)[0].toLowerCase();
+      if (LOCALES[code]) return code;
+    }
+    return DEFAULT_LOCALE;
+  }
+
+  function getLocale(code) {
+    return { code: LOCALES[code] ? code : DEFAULT_LOCALE, ...(LOCALES[code] || LOCALES[DEFAULT_LOCALE]) };
+  }
+
+  const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  // "4,5" → "4.5" and "1.234" → "1234" in de; "1,23,456" → "123456" in hi.
+  // Group separators only count as such when followed by whole groups of
+  // digits: a lone one that is not ("4.5" in de, which Maps also shows) is
+  // a decimal point. Returns '' for anything that is not a plain number
+  function parseNumber(text, locale) {
+    const { decimal, group } = locale || LOCALES[DEFAULT_LOCALE];
+    let value = String(text || '')
+      .replace(/[०-९]/g, digit => String(digit.charCodeAt(0) - 0x0966))
+      .replace(/[\s\u00a0\u202f]/g, '');
+
+    const g = escapeRegExp(group);
+    const d = escapeRegExp(decimal);
+    const grouped = new RegExp(`^\\d{1,3}(${g}\\d{2,3})*${g}\\d{3}(${d}\\d+)?$`);
+    const loneGroup = new RegExp(`^\\d+${g}\\d+$`);
+    if (grouped.test(value)) value = value.split(group).join('').replace(decimal, '.');
+    else if (loneGroup.test(value)) value = value.replace(group, '.');
+    else value = value.replace(decimal, '.');
+    return /^\d+(\.\d+)?$/.test(value) ? value : '';
+  }
+
+  const ScraperLocales = {
+    LOCALES,
+    DEFAULT_LOCALE,
+    detectLocale,
+    getLocale,
+    parseNumber
+  };
+
+  root.ScraperLocales = ScraperLocales;
+  if (typeof module !== 'undefined' && module.exports) module.exports = ScraperLocales;
+})(globalThis);
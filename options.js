@@ -0,0 +1,658 @@
+// options.js — Options page: selector profile, export presets, run comparison, known places, schedules, delivery
+
+(function () {
+  'use strict';
+
+  // ── DOM Elements ──────────────────────────────────────────────
+  const profileJson = document.getElementById('profileJson');
+  const profileSource = document.getElementById('profileSource');
+  const profileStatus = document.getElementById('profileStatus');
+  const profileFile = document.getElementById('profileFile');
+  const btnSaveProfile = document.getElementById('btnSaveProfile');
+  const btnImportProfile = document.getElementById('btnImportProfile');
+  const btnExportProfile = document.getElementById('btnExportProfile');
+  const btnResetProfile = document.getElementById('btnResetProfile');
+  const presetSelect = document.getElementById('presetSelect');
+  const presetName = document.getElementById('presetName');
+  const exportDelimiter = document.getElementById('exportDelimiter');
+  const exportFilename = document.getElementById('exportFilename');
+  const columnList = document.getElementById('columnList');
+  const presetStatus = document.getElementById('presetStatus');
+  const btnSavePreset = document.getElementById('btnSavePreset');
+  const btnDeletePreset = document.getElementById('btnDeletePreset');
+  const btnAllColumns = document.getElementById('btnAllColumns');
+  const btnNoColumns = document.getElementById('btnNoColumns');
+  const webhookUrl = document.getElementById('webhookUrl');
+  const webhookHeaderName = document.getElementById('webhookHeaderName');
+  const webhookHeaderValue = document.getElementById('webhookHeaderValue');
+  const webhookBatchSize = document.getElementById('webhookBatchSize');
+  const webhookStream = document.getElementById('webhookStream');
+  const webhookStatus = document.getElementById('webhookStatus');
+  const deliveryLog = document.getElementById('deliveryLog');
+  const btnSaveWebhook = document.getElementById('btnSaveWebhook');
+  const btnTestWebhook = document.getElementById('btnTestWebhook');
+  const btnClearLog = document.getElementById('btnClearLog');
+  const snapshotName = document.getElementById('snapshotName');
+  const baselineSelect = document.getElementById('baselineSelect');
+  const runFile = document.getElementById('runFile');
+  const diffStatus = document.getElementById('diffStatus');
+  const diffTable = document.getElementById('diffTable');
+  const diffRowsEl = document.getElementById('diffRows');
+  const diffExport = document.getElementById('diffExport');
+  const btnSaveSnapshot = document.getElementById('btnSaveSnapshot');
+  const btnCompare = document.getElementById('btnCompare');
+  const btnImportRun = document.getElementById('btnImportRun');
+  const btnDeleteSnapshot = document.getElementById('btnDeleteSnapshot');
+  const btnDiffCSV = document.getElementById('btnDiffCSV');
+  const btnDiffJSON = document.getElementById('btnDiffJSON');
+  const placeIndexInfo = document.getElementById('placeIndexInfo');
+  const placeIndexStatus = document.getElementById('placeIndexStatus');
+  const btnClearPlaceIndex = document.getElementById('btnClearPlaceIndex');
+  const scheduleName = document.getElementById('scheduleName');
+  const scheduleTerms = document.getElementById('scheduleTerms');
+  const scheduleLocations = document.getElementById('scheduleLocations');
+  const scheduleRepeat = document.getElementById('scheduleRepeat');
+  const scheduleDay = document.getElementById('scheduleDay');
+  const scheduleTime = document.getElementById('scheduleTime');
+  const scheduleStatus = document.getElementById('scheduleStatus');
+  const scheduleRows = document.getElementById('scheduleRows');
+  const btnSaveSchedule = document.getElementById('btnSaveSchedule');
+  const sheetsUrl = document.getElementById('sheetsUrl');
+  const sheetsName = document.getElementById('sheetsName');
+  const sheetsToken = document.getElementById('sheetsToken');
+  const sheetsBatchSize = document.getElementById('sheetsBatchSize');
+  const sheetsScript = document.getElementById('sheetsScript');
+  const sheetsStatus = document.getElementById('sheetsStatus');
+  const btnSaveSheets = document.getElementById('btnSaveSheets');
+  const btnShowScript = document.getElementById('btnShowScript');
+  const btnCopyScript = document.getElementById('btnCopyScript');
+
+  // ── Helpers ───────────────────────────────────────────────────
+  function showStatus(message, kind, target = profileStatus) {
+    target.textContent = message;
+    target.className = `status ${kind || ''}`;
+  }
+
+  // Settings are written by the background worker only, so a change saved
+  // here and one saved in the popup at the same moment both survive
+  async function saveSettings(changes) {
+    const response = await chrome.runtime.sendMessage({ action: 'saveSettings', changes });
+    if (!response || response.status === 'error') {
+      throw new Error((response && response.message) || 'The extension did not answer');
+    }
+  }
+
+  function download(content, filename, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function describe(profile, isCustom) {
+    profileSource.textContent = isCustom
+      ? `Active: "${profile.name}" (version ${profile.version})`
+      : 'Active: built-in profile';
+  }
+
+  // The editor shows the full effective profile so every key is visible
+  async function loadProfile() {
+    const custom = await ScraperStorage.getSelectorProfile();
+    const profile = ScraperSelectors.mergeProfile(custom);
+    profileJson.value = JSON.stringify(profile, null, 2);
+    describe(profile, !!custom);
+  }
+
+  function parseEditor() {
+    const profile = JSON.parse(profileJson.value);
+    ScraperSelectors.validateProfile(profile, document);
+    return profile;
+  }
+
+  // ── Button Handlers ───────────────────────────────────────────
+
+  btnSaveProfile.addEventListener('click', async () => {
+    let profile;
+    try {
+      profile = parseEditor();
+    } catch (err) {
+      showStatus(err.message, 'error');
+      return;
+    }
+    await ScraperStorage.saveSelectorProfile(ScraperSelectors.diffProfile(profile));
+    await loadProfile();
+    showStatus('Saved. Takes effect on the next start.', 'ok');
+  });
+
+  btnImportProfile.addEventListener('click', () => profileFile.click());
+
+  profileFile.addEventListener('change', async () => {
+    const file = profileFile.files[0];
+    profileFile.value = '';
+    if (!file) return;
+    profileJson.value = await file.text();
+    try {
+      parseEditor();
+      showStatus(`Loaded ${file.name}. Review it, then Save.`, 'ok');
+    } catch (err) {
+      showStatus(`${file.name}: ${err.message}`, 'error');
+    }
+  });
+
+  btnExportProfile.addEventListener('click', () => {
+    let profile;
+    try {
+      profile = parseEditor();
+    } catch (err) {
+      showStatus(err.message, 'error');
+      return;
+    }
+    download(JSON.stringify(profile, null, 2), `selector-profile-v${profile.version || 1}.json`, 'application/json');
+  });
+
+  btnResetProfile.addEventListener('click', async () => {
+    await ScraperStorage.clearSelectorProfile();
+    await loadProfile();
+    showStatus('Reverted to the built-in profile.', 'ok');
+  });
+
+  // ── Export column presets ─────────────────────────────────────
+  // The list shows every column: ticked ones in preset order first,
+  // then the rest under their built-in headers
+
+  function columnRow(col, enabled) {
+    const row = document.createElement('li');
+    row.className = `column-row${enabled ? '' : ' off'}`;
+    row.dataset.key = col.key;
+
+    const check = document.createElement('input');
+    check.type = 'checkbox';
+    check.checked = enabled;
+    check.addEventListener('change', () => row.classList.toggle('off', !check.checked));
+
+    const key = document.createElement('code');
+    key.textContent = col.key;
+
+    const header = document.createElement('input');
+    header.type = 'text';
+    header.value = col.header;
+
+    const up = document.createElement('button');
+    up.textContent = '▲';
+    up.title = 'Move up';
+    up.addEventListener('click', () => {
+      if (row.previousElementSibling) columnList.insertBefore(row, row.previousElementSibling);
+    });
+
+    const down = document.createElement('button');
+    down.textContent = '▼';
+    down.title = 'Move down';
+    down.addEventListener('click', () => {
+      if (row.nextElementSibling) columnList.insertBefore(row.nextElementSibling, row);
+    });
+
+    row.append(check, key, header, up, down);
+    return row;
+  }
+
+  function renderPreset(preset) {
+    const schema = preset || ScraperExporters.defaultSchema();
+    const chosen = new Set(schema.columns.map(col => col.key));
+    const builtIn = ScraperExporters.defaultSchema().columns.filter(col => !chosen.has(col.key));
+
+    columnList.replaceChildren(
+      ...schema.columns.map(col => columnRow(col, true)),
+      ...builtIn.map(col => columnRow(col, false))
+    );
+    presetName.value = schema.name;
+    exportDelimiter.value = schema.delimiter || ',';
+    exportFilename.value = schema.filename || '';
+  }
+
+  function readPreset() {
+    const columns = Array.from(columnList.children)
+      .filter(row => row.querySelector('input[type="checkbox"]').checked)
+      .map(row => ({ key: row.dataset.key, header: row.querySelector('input[type="text"]').value.trim() }));
+    const preset = {
+      name: presetName.value.trim(),
+      columns,
+      delimiter: exportDelimiter.value,
+      filename: exportFilename.value.trim()
+    };
+    if (!preset.name) throw new Error('Give the preset a name');
+    ScraperExporters.validateSchema(preset);
+    return preset;
+  }
+
+  async function loadPresets() {
+    const [settings, presets] = await Promise.all([
+      ScraperStorage.getSettings(),
+      ScraperStorage.getExportPresets()
+    ]);
+    presetSelect.replaceChildren(new Option('All columns (built-in)', ''),
+      ...presets.map(preset => new Option(preset.name, preset.name)));
+    const active = presets.find(preset => preset.name === settings.exportPreset) || null;
+    presetSelect.value = active ? active.name : '';
+    renderPreset(active);
+  }
+
+  presetSelect.addEventListener('change', async () => {
+    await saveSettings({ exportPreset: presetSelect.value });
+    await loadPresets();
+    showStatus(presetSelect.value ? `Exports now use "${presetSelect.value}".` : 'Exports now use every column.',
+      'ok', presetStatus);
+  });
+
+  btnSavePreset.addEventListener('click', async () => {
+    let preset;
+    try {
+      preset = readPreset();
+    } catch (err) {
+      showStatus(err.message, 'error', presetStatus);
+      return;
+    }
+    await ScraperStorage.saveExportPreset(preset);
+    await saveSettings({ exportPreset: preset.name });
+    await loadPresets();
+    showStatus(`Saved "${preset.name}" (${preset.columns.length} columns) and put it in use.`, 'ok', presetStatus);
+  });
+
+  btnDeletePreset.addEventListener('click', async () => {
+    const name = presetSelect.value;
+    if (!name) {
+      showStatus('The built-in layout cannot be deleted.', 'error', presetStatus);
+      return;
+    }
+    await ScraperStorage.deleteExportPreset(name);
+    await saveSettings({ exportPreset: '' });
+    await loadPresets();
+    showStatus(`Deleted "${name}". Exports use every column again.`, 'ok', presetStatus);
+  });
+
+  function tickAll(checked) {
+    for (const row of columnList.children) {
+      row.querySelector('input[type="checkbox"]').checked = checked;
+      row.classList.toggle('off', !checked);
+    }
+  }
+
+  btnAllColumns.addEventListener('click', () => tickAll(true));
+  btnNoColumns.addEventListener('click', () => tickAll(false));
+
+  // ── Compare runs ──────────────────────────────────────────────
+
+  const DIFF_PREVIEW_ROWS = 200;
+  let importedRun = null;   // { name, records } from a JSON file
+  let lastReport = null;
+
+  async function loadSnapshots() {
+    const snapshots = await ScraperStorage.getSnapshots();
+    const options = snapshots.map(snap => new Option(
+      `${snap.name} — ${new Date(snap.savedAt).toLocaleString()} (${snap.records.length} places)`, snap.id));
+    if (importedRun) {
+      options.unshift(new Option(`${importedRun.name} (imported, ${importedRun.records.length} places)`, 'imported'));
+    }
+    baselineSelect.replaceChildren(...options);
+    if (!options.length) baselineSelect.appendChild(new Option('No saved runs yet', ''));
+    return snapshots;
+  }
+
+  async function baselineRecords() {
+    if (baselineSelect.value === 'imported') return importedRun.records;
+    const snapshot = (await ScraperStorage.getSnapshots()).find(snap => snap.id === baselineSelect.value);
+    return snapshot ? snapshot.records : null;
+  }
+
+  function renderDiff(report) {
+    const rows = ScraperDiff.diffRows(report);
+    diffRowsEl.replaceChildren(...rows.slice(0, DIFF_PREVIEW_ROWS).map(([change, name, , field, before, after]) => {
+      const row = document.createElement('tr');
+      for (const value of [change, name, field, before, after]) {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      }
+      row.children[0].className = change;
+      return row;
+    }));
+    diffTable.classList.toggle('hidden', rows.length === 0);
+    diffExport.classList.remove('hidden');
+
+    const summary = `${report.added.length} added, ${report.removed.length} removed, ` +
+      `${report.changed.length} changed, ${report.unchanged} unchanged`;
+    const more = rows.length > DIFF_PREVIEW_ROWS ? ` — showing the first ${DIFF_PREVIEW_ROWS} lines; export for all` : '';
+    showStatus(summary + more, 'ok', diffStatus);
+  }
+
+  btnSaveSnapshot.addEventListener('click', async () => {
+    const records = await ScraperStorage.getRecords();
+    if (records.length === 0) {
+      showStatus('There are no results to save.', 'error', diffStatus);
+      return;
+    }
+    const snapshot = await ScraperStorage.saveSnapshot(snapshotName.value.trim() || 'Saved run', records);
+    snapshotName.value = '';
+    await loadSnapshots();
+    baselineSelect.value = snapshot.id;
+    showStatus(`Saved ${records.length} places.`, 'ok', diffStatus);
+  });
+
+  btnImportRun.addEventListener('click', () => runFile.click());
+
+  runFile.addEventListener('change', async () => {
+    const file = runFile.files[0];
+    runFile.value = '';
+    if (!file) return;
+    try {
+      importedRun = { name: file.name, records: ScraperDiff.parseRunFile(await file.text()) };
+    } catch (err) {
+      showStatus(`${file.name}: ${err.message}`, 'error', diffStatus);
+      return;
+    }
+    await loadSnapshots();
+    baselineSelect.value = 'imported';
+    showStatus(`Loaded ${importedRun.records.length} places from ${file.name}.`, 'ok', diffStatus);
+  });
+
+  btnDeleteSnapshot.addEventListener('click', async () => {
+    const id = baselineSelect.value;
+    if (!id) return;
+    if (id === 'imported') importedRun = null;
+    else await ScraperStorage.deleteSnapshot(id);
+    await loadSnapshots();
+    showStatus('Removed.', 'ok', diffStatus);
+  });
+
+  btnCompare.addEventListener('click', async () => {
+    const before = await baselineRecords();
+    if (!before) {
+      showStatus('Save a snapshot or import an earlier JSON export first.', 'error', diffStatus);
+      return;
+    }
+    lastReport = ScraperDiff.diffRuns(before, await ScraperStorage.getRecords());
+    renderDiff(lastReport);
+  });
+
+  function exportDiff(format) {
+    if (!lastReport) return;
+    const { content, filename, mimeType } = ScraperDiff.buildDiffExport(format, lastReport);
+    download(content, filename, mimeType);
+  }
+
+  btnDiffCSV.addEventListener('click', () => exportDiff('csv'));
+  btnDiffJSON.addEventListener('click', () => exportDiff('json'));
+
+  // ── Known places ──────────────────────────────────────────────
+
+  async function loadPlaceIndex() {
+    const entries = Object.values(await ScraperStorage.getPlaceIndex());
+    if (entries.length === 0) {
+      placeIndexInfo.textContent = 'No places remembered yet.';
+      return;
+    }
+    const oldest = entries.reduce((min, e) => (e.firstSeenAt < min ? e.firstSeenAt : min), entries[0].firstSeenAt);
+    placeIndexInfo.textContent =
+      `${entries.length} places remembered, the first seen on ${new Date(oldest).toLocaleDateString()}.`;
+  }
+
+  btnClearPlaceIndex.addEventListener('click', async () => {
+    await ScraperStorage.clearPlaceIndex();
+    await loadPlaceIndex();
+    showStatus('Known places forgotten.', 'ok', placeIndexStatus);
+  });
+
+  // ── Scheduled runs ────────────────────────────────────────────
+  // Saving is all it takes: the background worker follows the schedules
+  // key and sets the alarms
+
+  function lines(text) {
+    return text.split('\n').map(line => line.trim()).filter(Boolean);
+  }
+
+  scheduleDay.replaceChildren(...ScraperSchedule.DAYS.map((day, i) => new Option(day, i)));
+  scheduleDay.value = '1';
+
+  scheduleRepeat.addEventListener('change', () => {
+    scheduleDay.classList.toggle('hidden', scheduleRepeat.value !== 'weekly');
+  });
+
+  async function loadSchedules() {
+    const schedules = await ScraperStorage.getSchedules();
+    scheduleRows.replaceChildren(...schedules.map((schedule) => {
+      const row = document.createElement('tr');
+      const searches = schedule.terms.join(', ') +
+        (schedule.locations.length ? ` in ${schedule.locations.join(', ')}` : '');
+      const next = schedule.enabled
+        ? new Date(ScraperSchedule.nextRunAt(schedule)).toLocaleString()
+        : 'Paused';
+      for (const value of [schedule.name, searches, ScraperSchedule.describeSchedule(schedule), next,
+                           schedule.lastResult || '—']) {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      }
+
+      const actions = document.createElement('td');
+      for (const [label, action] of [['Run now', 'run'], [schedule.enabled ? 'Pause' : 'Resume', 'toggle'],
+                                     ['Delete', 'delete']]) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.dataset.action = action;
+        button.dataset.id = schedule.id;
+        actions.appendChild(button);
+      }
+      row.appendChild(actions);
+      return row;
+    }));
+    if (!schedules.length) {
+      const row = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.colSpan = 6;
+      cell.textContent = 'No scheduled runs.';
+      row.appendChild(cell);
+      scheduleRows.appendChild(row);
+    }
+  }
+
+  btnSaveSchedule.addEventListener('click', async () => {
+    const schedule = {
+      id: Date.now().toString(36),
+      name: scheduleName.value.trim(),
+      terms: lines(scheduleTerms.value),
+      locations: lines(scheduleLocations.value),
+      repeat: scheduleRepeat.value,
+      day: Number(scheduleDay.value),
+      time: scheduleTime.value,
+      enabled: true,
+      lastRunAt: null,
+      lastResult: ''
+    };
+    try {
+      ScraperSchedule.validateSchedule(schedule);
+    } catch (err) {
+      showStatus(err.message, 'error', scheduleStatus);
+      return;
+    }
+    await ScraperStorage.saveSchedule(schedule);
+    scheduleName.value = '';
+    scheduleTerms.value = '';
+    scheduleLocations.value = '';
+    showStatus(`Scheduled "${schedule.name}": ${ScraperSchedule.describeSchedule(schedule).toLowerCase()}.`,
+      'ok', scheduleStatus);
+  });
+
+  scheduleRows.addEventListener('click', async (e) => {
+    const { action, id } = e.target.dataset;
+    if (!action) return;
+    const schedule = (await ScraperStorage.getSchedules()).find(s => s.id === id);
+    if (!schedule) return;
+
+    if (action === 'run') {
+      const response = await chrome.runtime.sendMessage({ action: 'runSchedule', id });
+      if (response && response.status === 'started') {
+        showStatus(`"${schedule.name}" started in a background tab.`, 'ok', scheduleStatus);
+      } else {
+        showStatus((response && response.message) || 'Could not start the run.', 'error', scheduleStatus);
+      }
+    } else if (action === 'toggle') {
+      await ScraperStorage.updateSchedule(id, { enabled: !schedule.enabled });
+    } else if (action === 'delete') {
+      await ScraperStorage.deleteSchedule(id);
+      showStatus(`Deleted "${schedule.name}".`, 'ok', scheduleStatus);
+    }
+  });
+
+  // ── Endpoint delivery ─────────────────────────────────────────
+
+  async function loadWebhook() {
+    const config = await ScraperStorage.getWebhookConfig();
+    webhookUrl.value = config.url;
+    webhookHeaderName.value = config.headerName;
+    webhookHeaderValue.value = config.headerValue;
+    webhookBatchSize.value = config.batchSize;
+    webhookStream.checked = config.stream;
+  }
+
+  function readWebhook() {
+    const config = {
+      url: webhookUrl.value.trim(),
+      headerName: webhookHeaderName.value.trim(),
+      headerValue: webhookHeaderValue.value,
+      batchSize: Math.max(1, parseInt(webhookBatchSize.value, 10) || ScraperStorage.DEFAULT_WEBHOOK.batchSize),
+      stream: webhookStream.checked
+    };
+    ScraperWebhook.validateConfig(config);
+    return config;
+  }
+
+  // Host access is optional and per origin; ask while handling the click
+  async function requestAccess(config) {
+    const origin = `${new URL(config.url).origin}/*`;
+    return chrome.permissions.request({ origins: [origin] });
+  }
+
+  function describeResult(entry) {
+    if (!entry.ok) return entry.error;
+    if (entry.event === 'sheets') return `${entry.appended} added, ${entry.updated} updated`;
+    return `HTTP ${entry.status}`;
+  }
+
+  async function renderLog() {
+    const entries = await ScraperStorage.getDeliveryLog();
+    deliveryLog.replaceChildren(...entries.map(entry => {
+      const row = document.createElement('tr');
+      const cells = [
+        new Date(entry.at).toLocaleString(),
+        entry.event,
+        `${entry.batch}/${entry.of}`,
+        entry.count,
+        describeResult(entry),
+        entry.attempts
+      ];
+      for (const value of cells) {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      }
+      row.children[4].className = entry.ok ? 'ok' : 'failed';
+      row.title = entry.url;
+      return row;
+    }));
+  }
+
+  btnSaveWebhook.addEventListener('click', async () => {
+    let config;
+    try {
+      config = readWebhook();
+    } catch (err) {
+      showStatus(err.message, 'error', webhookStatus);
+      return;
+    }
+    const granted = await requestAccess(config);
+    await ScraperStorage.saveWebhookConfig(config);
+    showStatus(granted ? 'Saved.' : 'Saved, but nothing can be sent until access to the endpoint is allowed.',
+      granted ? 'ok' : 'error', webhookStatus);
+  });
+
+  btnTestWebhook.addEventListener('click', async () => {
+    let config;
+    try {
+      config = readWebhook();
+    } catch (err) {
+      showStatus(err.message, 'error', webhookStatus);
+      return;
+    }
+    if (!(await requestAccess(config))) {
+      showStatus('Access to the endpoint was not allowed.', 'error', webhookStatus);
+      return;
+    }
+    showStatus('Sending…', '', webhookStatus);
+    const sample = { name: 'Test place', phone: '+10000000000', url: 'https://www.google.com/maps/place/test' };
+    const summary = await ScraperWebhook.deliverRecords([sample], config, {
+      event: 'test',
+      retries: 0,
+      onBatch: entry => ScraperStorage.appendDeliveryLog(entry)
+    });
+    showStatus(summary.sent ? 'The endpoint accepted the test record.' : 'The test record was not accepted — see the log.',
+      summary.sent ? 'ok' : 'error', webhookStatus);
+  });
+
+  btnClearLog.addEventListener('click', () => ScraperStorage.clearDeliveryLog());
+
+  // ── Google Sheets ─────────────────────────────────────────────
+
+  async function loadSheets() {
+    const config = await ScraperStorage.getSheetsConfig();
+    sheetsUrl.value = config.url;
+    sheetsName.value = config.sheetName;
+    sheetsToken.value = config.token;
+    sheetsBatchSize.value = config.batchSize;
+  }
+
+  btnSaveSheets.addEventListener('click', async () => {
+    const config = {
+      url: sheetsUrl.value.trim(),
+      sheetName: sheetsName.value.trim() || ScraperStorage.DEFAULT_SHEETS.sheetName,
+      token: sheetsToken.value,
+      batchSize: Math.max(1, parseInt(sheetsBatchSize.value, 10) || ScraperStorage.DEFAULT_SHEETS.batchSize)
+    };
+    try {
+      ScraperSheets.validateConfig(config);
+    } catch (err) {
+      showStatus(err.message, 'error', sheetsStatus);
+      return;
+    }
+    const granted = await chrome.permissions.request({ origins: ScraperSheets.accessOrigins(config.url) });
+    await ScraperStorage.saveSheetsConfig(config);
+    showStatus(granted ? 'Saved.' : 'Saved, but nothing can be sent until access to the web app is allowed.',
+      granted ? 'ok' : 'error', sheetsStatus);
+  });
+
+  btnShowScript.addEventListener('click', () => {
+    sheetsScript.value = ScraperSheets.APPS_SCRIPT;
+    sheetsScript.classList.toggle('hidden');
+    btnCopyScript.classList.toggle('hidden', sheetsScript.classList.contains('hidden'));
+  });
+
+  btnCopyScript.addEventListener('click', async () => {
+    await navigator.clipboard.writeText(ScraperSheets.APPS_SCRIPT);
+    showStatus('Script copied.', 'ok', sheetsStatus);
+  });
+
+  // Deliveries and scheduled runs happen in the background worker; follow them as they land
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && 'deliveryLog' in changes) renderLog();
+    if (areaName === 'local' && 'schedules' in changes) loadSchedules();
+  });
+
+  loadProfile().catch(err => showStatus(`Could not load profile: ${err.message}`, 'error'));
+  loadPresets().catch(err => showStatus(`Could not load presets: ${err.message}`, 'error', presetStatus));
+  loadSnapshots().catch(err => showStatus(`Could not load saved runs: ${err.message}`, 'error', diffStatus));
+  loadPlaceIndex().catch(err => showStatus(`Could not load known places: ${err.message}`, 'error', placeIndexStatus));
+  loadSchedules().catch(err => showStatus(`Could not load schedules: ${err.message}`, 'error', scheduleStatus));
+  loadWebhook().then(renderLog)
+    .catch(err => showStatus(`Could not load endpoint settings: ${err.message}`, 'error', webhookStatus));
+  loadSheets().catch(err => showStatus(`Could not load Sheets settings: ${err.message}`, 'error', sheetsStatus));
+})();
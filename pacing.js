@@ -0,0 +1,94 @@
+// pacing.js — How fast a run clicks and scrolls, and when Maps wants it to stop
+//
+// Delays are drawn at random between a profile's bounds so the rhythm does
+// not look scripted. Detail panels that keep timing out mean Maps is
+// throttling: every delay then grows and the run takes a short break.
+// A captcha or "unusual traffic" page ends the run until the user has
+// dealt with it.
+
+(function (root) {
+  'use strict';
+
+  // [min, max] in ms; detailTimeout is how long a detail panel may take
+  const PROFILES = {
+    safe: { clickDelay: [1500, 4000], scrollWait: [2500, 5000], settleWait: [800, 1500], detailTimeout: 6000 },
+    balanced: { clickDelay: [400, 1500], scrollWait: [1500, 3000], settleWait: [500, 900], detailTimeout: 4000 },
+    fast: { clickDelay: [100, 400], scrollWait: [1200, 1800], settleWait: [400, 600], detailTimeout: 3000 }
+  };
+  const DEFAULT_PROFILE = 'balanced';
+
+  const TIMEOUTS_BEFORE_BACKOFF = 2;   // panel timeouts in a row
+  const MAX_SLOWDOWN = 8;              // delays never stretch beyond 8×
+  const COOLDOWN_MS = 20000;           // break per slowdown step after repeated timeouts
+
+  // Google's interstitials: the /sorry/ page, reCAPTCHA frames and the
+  // "unusual traffic" notice
+  const BLOCK_URL = /^https:\/\/(www\.)?google\.[a-z.]+\/sorry\//i;
+  const BLOCK_SELECTORS = 'iframe[src*="recaptcha"], #captcha-form, form[action*="/sorry/"], #recaptcha';
+  const BLOCK_TEXT = /unusual traffic from your computer network|our systems have detected unusual traffic/i;
+
+  // Profile bounds, with the click delay replaced by the user's own
+  // bounds when set (0 keeps the profile's)
+  function resolveProfile(name, delayMinMs = 0, delayMaxMs = 0) {
+    const profile = PROFILES[name] || PROFILES[DEFAULT_PROFILE];
+    const min = delayMinMs > 0 ? delayMinMs : profile.clickDelay[0];
+    const max = delayMaxMs > 0 ? delayMaxMs : profile.clickDelay[1];
+    return { ...profile, clickDelay: [Math.min(min, max), Math.max(min, max)] };
+  }
+
+  // What a block looks like on the page, or '' when there is none
+  function detectBlock(doc, href) {
+    if (BLOCK_URL.test(String(href || ''))) return 'Google asked to confirm you are not a robot';
+    if (doc.querySelector(BLOCK_SELECTORS)) return 'Google Maps is showing a captcha';
+    const text = doc.body ? doc.body.textContent : '';
+    if (BLOCK_TEXT.test(text)) return 'Google Maps reports unusual traffic';
+    return '';
+  }
+
+  // options: { profile, delayMinMs, delayMaxMs, random }
+  function createPacer(options = {}) {
+    const bounds = resolveProfile(options.profile, options.delayMinMs, options.delayMaxMs);
+    const random = options.random || Math.random;
+    let slowdown = 1;
+    let timeoutsInARow = 0;
+
+    const between = ([min, max]) => Math.round((min + random() * (max - min)) * slowdown);
+
+    return {
+      bounds,
+      get slowdown() {
+        return slowdown;
+      },
+      clickDelay: () => between(bounds.clickDelay),
+      scrollWait: () => between(bounds.scrollWait),
+      settleWait: () => between(bounds.settleWait),
+      // Grows more slowly than the delays: a panel is worth waiting for
+      detailTimeout: () => Math.round(bounds.detailTimeout * Math.min(slowdown, 2)),
+
+      // Each panel that loads eases the slowdown again
+      recordLoaded() {
+        timeoutsInARow = 0;
+        slowdown = Math.max(1, slowdown * 0.8);
+      },
+
+      // Returns how long to pause before the next card, 0 for no pause
+      recordTimeout() {
+        timeoutsInARow++;
+        if (timeoutsInARow < TIMEOUTS_BEFORE_BACKOFF) return 0;
+        slowdown = Math.min(MAX_SLOWDOWN, slowdown * 2);
+        return COOLDOWN_MS * Math.log2(slowdown);
+      }
+    };
+  }
+
+  const ScraperPacing = {
+    PROFILES,
+    DEFAULT_PROFILE,
+    resolveProfile,
+    detectBlock,
+    createPacer
+  };
+
+  root.ScraperPacing = ScraperPacing;
+  if (typeof module !== 'undefined' && module.exports) module.exports = ScraperPacing;
+})(globalThis);
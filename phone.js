@@ -0,0 +1,192 @@
+// phone.js — Normalize scraped phone numbers to E.164 with the country taken from the place
+//
+// Not a full numbering plan: each country only knows its dialling code,
+// trunk prefix and national number lengths, which is enough to turn what
+// Maps displays into one dialable format and to catch regex fragments.
+
+(function (root) {
+  'use strict';
+
+  // groups: digit group sizes for the national format, or a function
+  // picking them from the national number; variable-length area codes
+  // (DE, IT, Indian landlines …) are left ungrouped
+  const COUNTRIES = {
+    IN: {
+      dialCode: '91', trunk: '0', lengths: [10], pattern: /^[1-9]/,
+      names: ['india', 'भारत', 'indien'],
+      addressPattern: /\s\d{3}\s?\d{3}$/,
+      groups: nsn => (/^[6-9]/.test(nsn) ? [5, 5] : null)
+    },
+    US: {
+      dialCode: '1', trunk: '1', lengths: [10], pattern: /^[2-9]\d{2}[2-9]/,
+      names: ['usa', 'us', 'united states', 'united states of america', 'estados unidos', 'vereinigte staaten'],
+      addressPattern: /\b[A-Z]{2}\s\d{5}(-\d{4})?$/,
+      format: nsn => `(${nsn.slice(0, 3)}) ${nsn.slice(3, 6)}-${nsn.slice(6)}`
+    },
+    CA: {
+      dialCode: '1', trunk: '1', lengths: [10], pattern: /^[2-9]\d{2}[2-9]/,
+      names: ['canada', 'kanada', 'canadá'],
+      addressPattern: /\b[A-Z]{2}\s[A-Z]\d[A-Z]\s?\d[A-Z]\d$/,
+      format: nsn => `(${nsn.slice(0, 3)}) ${nsn.slice(3, 6)}-${nsn.slice(6)}`
+    },
+    GB: {
+      dialCode: '44', trunk: '0', lengths: [9, 10], pattern: /^[1-9]/,
+      names: ['uk', 'united kingdom', 'england', 'scotland', 'wales', 'northern ireland',
+              'vereinigtes königreich', 'reino unido'],
+      addressPattern: /\b[A-Z]{1,2}\d[A-Z\d]?\s\d[A-Z]{2}$/,
+      // London (20) and other two-digit areas, else four-digit areas
+      groups: nsn => (nsn.length !== 10 ? null : nsn.startsWith('2') ? [2, 4, 4] : [4, 6])
+    },
+    DE: {
+      dialCode: '49', trunk: '0', lengths: [6, 7, 8, 9, 10, 11], pattern: /^[1-9]/,
+      names: ['germany', 'deutschland', 'alemania']
+    },
+    AT: {
+      dialCode: '43', trunk: '0', lengths: [6, 7, 8, 9, 10, 11, 12, 13], pattern: /^[1-9]/,
+      names: ['austria', 'österreich']
+    },
+    CH: {
+      dialCode: '41', trunk: '0', lengths: [9], pattern: /^[1-9]/,
+      names: ['switzerland', 'schweiz', 'suiza'],
+      groups: [2, 3, 2, 2]
+    },
+    FR: {
+      dialCode: '33', trunk: '0', lengths: [9], pattern: /^[1-9]/,
+      names: ['france', 'frankreich', 'francia'],
+      groups: [1, 2, 2, 2, 2]
+    },
+    ES: {
+      dialCode: '34', trunk: '', lengths: [9], pattern: /^[5-9]/,
+      names: ['spain', 'españa', 'spanien'],
+      groups: [3, 2, 2, 2]
+    },
+    IT: {
+      // Italian numbers keep their leading 0 after the country code
+      dialCode: '39', trunk: '', lengths: [6, 7, 8, 9, 10, 11], pattern: /^[03]/,
+      names: ['italy', 'italia', 'italien']
+    },
+    AU: {
+      dialCode: '61', trunk: '0', lengths: [9], pattern: /^[2-478]/,
+      names: ['australia', 'australien'],
+      groups: nsn => (nsn.startsWith('4') ? [3, 3, 3] : [1, 4, 4])
+    },
+    AE: {
+      dialCode: '971', trunk: '0', lengths: [8, 9], pattern: /^[1-9]/,
+      names: ['united arab emirates', 'uae', 'vereinigte arabische emirate', 'emiratos árabes unidos'],
+      groups: nsn => (nsn.length === 9 ? [2, 3, 4] : [1, 3, 4])
+    }
+  };
+
+  // ── Country inference ─────────────────────────────────────────
+
+  // The Maps region: gl= in the URL, else the region subtag of <html lang>
+  function detectRegion(doc, url) {
+    try {
+      const gl = new URL(url).searchParams.get('gl');
+      if (gl) return gl.toUpperCase();
+    } catch (_) { /* not a URL */ }
+    const lang = doc && doc.documentElement ? doc.documentElement.getAttribute('lang') || '' : '';
+    const subtag = lang.split(/[-_]/)[1] || '';
+    return /^[a-z]{2}$/i.test(subtag) ? subtag.toUpperCase() : '';
+  }
+
+  function inferCountry(address, region) {
+    const text = String(address || '').trim();
+    const lastPart = text.split(',').pop().trim().toLowerCase();
+    for (const [code, info] of Object.entries(COUNTRIES)) {
+      if (info.names.includes(lastPart)) return code;
+    }
+
+    // Maps leaves the country off addresses in the viewer's own country,
+    // but the postcode format usually gives it away
+    for (const [code, info] of Object.entries(COUNTRIES)) {
+      if (info.addressPattern && info.addressPattern.test(text)) return code;
+    }
+
+    const hint = String(region || '').toUpperCase();
+    return COUNTRIES[hint] ? hint : '';
+  }
+
+  // ── Parsing ───────────────────────────────────────────────────
+
+  // A number written with "+" picks its own country; the hint only breaks
+  // ties between countries sharing a code (US and CA on +1)
+  function countryForDialCode(digits, hint) {
+    if (COUNTRIES[hint] && digits.startsWith(COUNTRIES[hint].dialCode)) return hint;
+    const matches = Object.keys(COUNTRIES).filter(code => digits.startsWith(COUNTRIES[code].dialCode));
+    return matches.sort((a, b) => COUNTRIES[b].dialCode.length - COUNTRIES[a].dialCode.length)[0] || '';
+  }
+
+  function formatNational(nsn, info) {
+    if (info.format) return info.format(nsn);
+    const groups = typeof info.groups === 'function' ? info.groups(nsn) : info.groups;
+    if (!groups) return info.trunk + nsn;
+
+    const parts = [];
+    let offset = 0;
+    for (const size of groups) {
+      parts.push(nsn.slice(offset, offset + size));
+      offset += size;
+    }
+    if (offset < nsn.length) parts.push(nsn.slice(offset));
+    parts[0] = info.trunk + parts[0];
+    return parts.filter(Boolean).join(' ');
+  }
+
+  // Result: { e164, national, valid, country }; e164 and national stay
+  // empty when the number cannot be validated
+  function normalizePhone(raw, countryHint) {
+    const result = { e164: '', national: '', valid: false, country: '' };
+    const text = String(raw || '').trim();
+    let digits = text.replace(/\D/g, '');
+    if (!digits) return result;
+
+    let international = text.startsWith('+');
+    if (!international && digits.startsWith('00')) {
+      digits = digits.slice(2);
+      international = true;
+    }
+
+    let country = COUNTRIES[countryHint] ? countryHint : '';
+    let nsn = digits;
+
+    if (international) {
+      country = countryForDialCode(digits, country);
+      if (!country) return result;
+      const info = COUNTRIES[country];
+      nsn = digits.slice(info.dialCode.length);
+      // "+44 (0)20 …" — the trunk prefix is not dialled from abroad
+      if (info.trunk && nsn.startsWith(info.trunk)) {
+        nsn = nsn.slice(info.trunk.length);
+      }
+    } else {
+      if (!country) return result;
+      const info = COUNTRIES[country];
+      // "91 98765 43210" — country code written without the "+"
+      if (nsn.startsWith(info.dialCode) && info.lengths.includes(nsn.length - info.dialCode.length)) {
+        nsn = nsn.slice(info.dialCode.length);
+      } else if (info.trunk && nsn.startsWith(info.trunk)) {
+        nsn = nsn.slice(info.trunk.length);
+      }
+    }
+
+    const info = COUNTRIES[country];
+    result.country = country;
+    result.valid = info.lengths.includes(nsn.length) && info.pattern.test(nsn);
+    if (result.valid) {
+      result.e164 = `+${info.dialCode}${nsn}`;
+      result.national = formatNational(nsn, info);
+    }
+    return result;
+  }
+
+  const ScraperPhone = {
+    COUNTRIES,
+    detectRegion,
+    inferCountry,
+    normalizePhone
+  };
+
+  root.ScraperPhone = ScraperPhone;
+  if (typeof module !== 'undefined' && module.exports) module.exports = ScraperPhone;
+})(globalThis);
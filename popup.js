@@ -6,14 +6,67 @@
   // ── DOM Elements ──────────────────────────────────────────────
   const btnStart = document.getElementById('btnStart');
   const btnStop = document.getElementById('btnStop');
+  const btnResume = document.getElementById('btnResume');
   const btnReset = document.getElementById('btnReset');
   const btnCSV = document.getElementById('btnCSV');
   const btnExcel = document.getElementById('btnExcel');
   const btnJSON = document.getElementById('btnJSON');
+  const btnGeoJSON = document.getElementById('btnGeoJSON');
+  const btnKML = document.getElementById('btnKML');
+  const btnVCard = document.getElementById('btnVCard');
+  const btnReviewsCSV = document.getElementById('btnReviewsCSV');
+  const btnResults = document.getElementById('btnResults');
+  const optHarvestReviews = document.getElementById('optHarvestReviews');
+  const optMaxReviews = document.getElementById('optMaxReviews');
+  const optDropLowConfidence = document.getElementById('optDropLowConfidence');
+  const optInvalidPhones = document.getElementById('optInvalidPhones');
+  const optExportPreset = document.getElementById('optExportPreset');
+  const optKnownPlaces = document.getElementById('optKnownPlaces');
+  const optPacing = document.getElementById('optPacing');
+  const optDelayMin = document.getElementById('optDelayMin');
+  const optDelayMax = document.getElementById('optDelayMax');
+  const optMaxPlaces = document.getElementById('optMaxPlaces');
+  const optMaxMinutes = document.getElementById('optMaxMinutes');
+  const optMaxScrollRounds = document.getElementById('optMaxScrollRounds');
+  const optNewSince = document.getElementById('optNewSince');
+  const linkOptions = document.getElementById('linkOptions');
+  const optFilterEnabled = document.getElementById('optFilterEnabled');
+  const optMinRating = document.getElementById('optMinRating');
+  const optMinReviews = document.getElementById('optMinReviews');
+  const optReviewsBelow = document.getElementById('optReviewsBelow');
+  const optFilterWebsite = document.getElementById('optFilterWebsite');
+  const optFilterPhone = document.getElementById('optFilterPhone');
+  const optCategoryKeywords = document.getElementById('optCategoryKeywords');
+  const optExcludeKeywords = document.getElementById('optExcludeKeywords');
+  const filterSummary = document.getElementById('filterSummary');
+  const strategyGroup = document.getElementById('strategyGroup');
+  const strategyReport = document.getElementById('strategyReport');
+
+  // Fallbacks that guess rather than read a dedicated element
+  const RISKY_STRATEGIES = ['button-regex', 'card-text', 'external-link-scan', 'aria-hidden-span',
+                            'parenthesized-number', 'span-heuristic', 'currency-span'];
   const countEl = document.getElementById('count');
   const statusText = document.getElementById('statusText');
   const progressInfo = document.getElementById('progressInfo');
+  const rejectedInfo = document.getElementById('rejectedInfo');
   const warningEl = document.getElementById('warning');
+  const batchGroup = document.getElementById('batchGroup');
+  const batchTerms = document.getElementById('batchTerms');
+  const batchLocations = document.getElementById('batchLocations');
+  const batchStatus = document.getElementById('batchStatus');
+  const btnBatchStart = document.getElementById('btnBatchStart');
+  const btnBatchStop = document.getElementById('btnBatchStop');
+  const enrichGroup = document.getElementById('enrichGroup');
+  const enrichStatus = document.getElementById('enrichStatus');
+  const btnEnrich = document.getElementById('btnEnrich');
+  const btnEnrichStop = document.getElementById('btnEnrichStop');
+  const deliveryGroup = document.getElementById('deliveryGroup');
+  const deliveryStatus = document.getElementById('deliveryStatus');
+  const btnWebhook = document.getElementById('btnWebhook');
+  const btnSheets = document.getElementById('btnSheets');
+  const btnDeliveryStop = document.getElementById('btnDeliveryStop');
+  const linkDeliveryOptions = document.getElementById('linkDeliveryOptions');
+  const linkSchedules = document.getElementById('linkSchedules');
 
   let isRunning = false;
 
@@ -34,6 +87,10 @@
     }
   }
 
+  function updateResumeButton(canResume) {
+    btnResume.classList.toggle('hidden', !canResume || isRunning);
+  }
+
   function setRunningState(running) {
     isRunning = running;
     btnStart.classList.toggle('hidden', running);
@@ -43,6 +100,7 @@
     // Hide reset while running
     if (running) {
       if (btnReset) btnReset.classList.add('hidden');
+      btnResume.classList.add('hidden');
     } else {
         // If stopped, check if we have data to show reset button
         const count = parseInt(countEl.textContent, 10);
@@ -51,9 +109,17 @@
   }
 
   function enableExportButtons(hasData) {    
+    btnResults.disabled = !hasData;
     btnCSV.disabled = !hasData;
     btnExcel.disabled = !hasData;
     btnJSON.disabled = !hasData;
+    btnGeoJSON.disabled = !hasData;
+    btnKML.disabled = !hasData;
+    btnVCard.disabled = !hasData;
+    btnReviewsCSV.disabled = !hasData;
+    btnEnrich.disabled = !hasData;
+    btnWebhook.disabled = !hasData;
+    btnSheets.disabled = !hasData;
     
     // Also update reset button visibility if not running
     if (!isRunning) {
@@ -61,6 +127,115 @@
     }
   }
 
+  function splitLines(text) {
+    return text.split('\n').map(line => line.trim()).filter(Boolean);
+  }
+
+  function renderBatch(batch) {
+    const running = !!batch && batch.status === 'running';
+    btnBatchStart.classList.toggle('hidden', running);
+    btnBatchStop.classList.toggle('hidden', !running);
+
+    if (!batch) {
+      batchStatus.textContent = '';
+      return;
+    }
+    if (running) batchGroup.open = true;
+
+    const parts = [`${batch.done} of ${batch.total} queries done`];
+    if (batch.current) parts.push(`now: ${batch.current}`);
+    if (batch.status !== 'running') parts.push(batch.status);
+    batchStatus.textContent = parts.join(' · ');
+  }
+
+  function renderEnrichment(enrichment) {
+    const running = !!enrichment && enrichment.running;
+    btnEnrich.classList.toggle('hidden', running);
+    btnEnrichStop.classList.toggle('hidden', !running);
+    if (!enrichment) return;
+    if (running) enrichGroup.open = true;
+
+    const parts = [`${enrichment.done} of ${enrichment.total} websites checked`];
+    if (enrichment.interrupted) parts.push('interrupted — start again to continue');
+    else if (enrichment.error) parts.push(enrichment.error);
+    else if (enrichment.stopped) parts.push('stopped');
+    else if (!running) parts.push(`${enrichment.failed} unreachable`);
+    enrichStatus.textContent = parts.join(' · ');
+  }
+
+  function renderDelivery(delivery) {
+    const running = !!delivery && delivery.running;
+    btnWebhook.classList.toggle('hidden', running);
+    btnSheets.classList.toggle('hidden', running);
+    btnDeliveryStop.classList.toggle('hidden', !running);
+    if (!delivery) return;
+    if (running) deliveryGroup.open = true;
+
+    const target = delivery.target === 'sheets' ? 'Google Sheets' : 'endpoint';
+    const parts = [`${delivery.sent} of ${delivery.total} places sent to ${target}`];
+    if (delivery.failed) parts.push(`${delivery.failed} failed — see the delivery log`);
+    if (delivery.interrupted) parts.push('interrupted');
+    else if (delivery.error) parts.push(delivery.error);
+    else if (delivery.stopped) parts.push('stopped');
+    deliveryStatus.textContent = parts.join(' · ');
+  }
+
+  // One line per field: the share of places each strategy filled it from.
+  // A jump in "none" or in a risky fallback usually means Google changed markup
+  function renderStrategyReport(stats) {
+    strategyReport.textContent = '';
+    const fields = stats ? Object.keys(stats) : [];
+    strategyGroup.classList.toggle('hidden', fields.length === 0);
+
+    for (const field of fields) {
+      const counts = stats[field];
+      const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+      const line = document.createElement('div');
+      const parts = Object.entries(counts)
+        .sort((a, b) => b[1] - a[1])
+        .map(([strategy, n]) => `${strategy} ${Math.round((n / total) * 100)}%`);
+      line.textContent = `${field}: ${parts.join(', ')}`;
+      if (Object.keys(counts).some(strategy => RISKY_STRATEGIES.includes(strategy))) {
+        line.classList.add('risky');
+      }
+      strategyReport.appendChild(line);
+    }
+  }
+
+  function renderRejected(rejected) {
+    rejectedInfo.textContent = rejected ? `${rejected} filtered out by rules` : '';
+    rejectedInfo.classList.toggle('hidden', !rejected);
+  }
+
+  // Status comes from the background worker, which merges every
+  // content-script event into one live record
+  function renderStatus(status) {
+    if (!status) return;
+
+    const batchRunning = !!status.batch && status.batch.status === 'running';
+    const count = status.count || 0;
+
+    countEl.textContent = count;
+    renderRejected(status.rejected);
+    setRunningState(status.isRunning || batchRunning);
+    if (!isRunning && status.message) statusText.textContent = status.message;
+    progressInfo.textContent = status.progress || '';
+    enableExportButtons(count > 0);
+    updateResumeButton(status.canResume);
+    if ('batch' in status) renderBatch(status.batch);
+    renderEnrichment(status.enrichment);
+    renderDelivery(status.delivery);
+    if ('runMeta' in status) renderStrategyReport(status.runMeta && status.runMeta.strategyStats);
+  }
+
+  async function refreshStatus() {
+    try {
+      renderStatus(await sendToBackground({ action: 'getStatus' }));
+    } catch (err) {
+      console.error('Status request failed:', err);
+    }
+  }
+
   // ── Get the active Google Maps tab ────────────────────────────
   async function getActiveMapTab() {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -71,141 +246,358 @@
     return tab;
   }
 
-  // ── Send message to content script ────────────────────────────
-  async function sendToContent(tab, message) {
+  // ── Send a command to the background worker ───────────────────
+  // The worker forwards it to the content script of the right tab
+  async function sendToBackground(message) {
     try {
-      return await chrome.tabs.sendMessage(tab.id, message);
+      return await chrome.runtime.sendMessage(message);
     } catch (error) {
       console.error('Message send failed:', error);
-      // Try injecting the content script first
-      try {
-        await chrome.scripting.executeScript({
-          target: { tabId: tab.id },
-          files: ['content.js']
-        });
-        // Retry after injection
-        return await chrome.tabs.sendMessage(tab.id, message);
-      } catch (injectErr) {
-        console.error('Script injection failed:', injectErr);
-        showWarning('Cannot connect to page. Refresh Google Maps and try again.');
-        return null;
-      }
+      showWarning('Extension background is not responding. Reload the extension.');
+      return null;
     }
   }
 
+  // Settings are written by the worker only, so a change saved here and one
+  // saved on the options page at the same moment both survive
+  function saveSettings(changes) {
+    return sendToBackground({ action: 'saveSettings', changes });
+  }
+
+  // Replies other than 'started' for a start or resume
+  const START_REPLIES = {
+    already_running: 'Scraping is already running in this tab.',
+    no_feed: 'No results list on this page. Search on Google Maps first.'
+  };
+
+  // Anything but 'started' puts the buttons back as the real status has them
+  function startFailed(response, fallback) {
+    if (response && response.status === 'started') return false;
+    setRunningState(false);
+    showWarning((response && (response.message || START_REPLIES[response.status])) || fallback);
+    refreshStatus();
+    return true;
+  }
+
   // ── Button Handlers ───────────────────────────────────────────
 
   btnStart.addEventListener('click', async () => {
     const tab = await getActiveMapTab();
     if (!tab) return;
 
-    // First check if there's existing data and warn/clear implicitly?
-    // Current behavior: Appends. 
-    // We update UI:
+    // Current behavior: Appends to saved results.
     setRunningState(true);
     // don't clear countEl yet, wait for update
     progressInfo.textContent = 'Starting...';
     enableExportButtons(false);
     updateResetButton(false);
 
-    const response = await sendToContent(tab, { action: 'startScraping' });
-    if (!response || response.status === 'error') {
-      setRunningState(false);
-      showWarning(response?.message || 'Failed to start scraping.');
-    }
+    const response = await sendToBackground({ action: 'startScraping', tabId: tab.id });
+    startFailed(response, 'Failed to start scraping.');
   });
 
-  btnStop.addEventListener('click', async () => {
+  btnResume.addEventListener('click', async () => {
     const tab = await getActiveMapTab();
     if (!tab) return;
-    
-    // Stop content script
-    await sendToContent(tab, { action: 'stopScraping' });
-    setRunningState(false);
-    
-    // Show reset button since we have stopped
-    const response = await sendToContent(tab, { action: 'getStatus' });
-    if (response && response.count > 0) {
-      updateResetButton(true);
-    }
+
+    setRunningState(true);
+    progressInfo.textContent = 'Resuming…';
+    enableExportButtons(false);
+
+    const response = await sendToBackground({ action: 'resumeScraping', tabId: tab.id });
+    startFailed(response, 'Failed to resume scraping.');
+  });
+
+  btnStop.addEventListener('click', async () => {
+    // Stopping the current query also stops the batch it belongs to
+    await sendToBackground({ action: 'stopScraping' });
+    refreshStatus();
   });
 
   if (btnReset) {
     btnReset.addEventListener('click', async () => {
-      const tab = await getActiveMapTab();
-      if (!tab) return;
-  
-      await sendToContent(tab, { action: 'resetData' });
-      countEl.textContent = '0';
-      progressInfo.textContent = '';
-      enableExportButtons(false);
-      updateResetButton(false);
-      statusText.textContent = 'Ready to scrape';
+      await sendToBackground({ action: 'resetData' });
+      refreshStatus();
     });
   }
 
-  btnCSV.addEventListener('click', async () => {
+  btnBatchStart.addEventListener('click', async () => {
     const tab = await getActiveMapTab();
     if (!tab) return;
-    await sendToContent(tab, { action: 'export', format: 'csv' });
+
+    const terms = splitLines(batchTerms.value);
+    if (terms.length === 0) {
+      showWarning('Enter at least one search term.');
+      return;
+    }
+
+    const response = await sendToBackground({
+      action: 'startBatch',
+      tabId: tab.id,
+      terms,
+      locations: splitLines(batchLocations.value)
+    });
+    if (!response || response.status === 'error') {
+      showWarning(response?.message || 'Failed to start batch.');
+      return;
+    }
+    setRunningState(true);
+    progressInfo.textContent = `Batch of ${response.total} queries started`;
   });
 
-  btnExcel.addEventListener('click', async () => {
-    const tab = await getActiveMapTab();
-    if (!tab) return;
-    await sendToContent(tab, { action: 'export', format: 'excel' });
+  btnBatchStop.addEventListener('click', async () => {
+    await sendToBackground({ action: 'stopBatch' });
+    refreshStatus();
   });
 
-  btnJSON.addEventListener('click', async () => {
-    const tab = await getActiveMapTab();
-    if (!tab) return;
-    await sendToContent(tab, { action: 'export', format: 'json' });
+  btnEnrich.addEventListener('click', async () => {
+    // Host access is optional; ask for it on the click that needs it
+    const granted = await chrome.permissions.request({ origins: ['<all_urls>'] });
+    if (!granted) {
+      showWarning('Website access is needed to look for emails.');
+      return;
+    }
+
+    const response = await sendToBackground({ action: 'startEnrichment' });
+    if (response && response.status === 'no_data') {
+      showWarning('No websites left to check.');
+    } else if (!response || response.status === 'error') {
+      showWarning(response?.message || 'Failed to start enrichment.');
+    }
   });
 
-  // ── Listen for messages from content script ───────────────────
-  chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    switch (request.action) {
-      case 'updateCount':
-        countEl.textContent = request.count;
-        enableExportButtons(request.count > 0);
-        break;
+  btnEnrichStop.addEventListener('click', async () => {
+    await sendToBackground({ action: 'stopEnrichment' });
+  });
 
-      case 'updateProgress':
-        progressInfo.textContent = request.message || '';
-        break;
+  async function startDelivery(target) {
+    const response = await sendToBackground({ action: 'startDelivery', target });
+    if (response && response.status === 'no_data') {
+      showWarning('Nothing to send yet.');
+    } else if (!response || response.status === 'error') {
+      showWarning(response?.message || 'Failed to start sending.');
+    }
+  }
 
-      case 'scrapingComplete':
-        setRunningState(false);
-        statusText.textContent = `Done — ${request.count} places scraped`;
-        countEl.textContent = request.count;
-        enableExportButtons(request.count > 0);
-        updateResetButton(request.count > 0);
-        break;
+  btnWebhook.addEventListener('click', () => startDelivery('webhook'));
+  btnSheets.addEventListener('click', () => startDelivery('sheets'));
 
-      case 'scrapingError':
-        setRunningState(false);
-        showWarning(request.message || 'An error occurred.');
-        updateResetButton(parseInt(countEl.textContent || '0') > 0);
-        break;
+  btnDeliveryStop.addEventListener('click', async () => {
+    await sendToBackground({ action: 'stopDelivery' });
+  });
+
+  async function exportData(format) {
+    const since = optNewSince.value;
+    const response = await sendToBackground({ action: 'export', format, since });
+    if (response && response.status === 'no_data') {
+      showWarning(since ? `No places first seen since ${since}.` : 'Nothing to export yet.');
+    } else if (response && response.status === 'error') {
+      showWarning(response.message || 'Export failed.');
     }
+  }
+
+  // Full-page table to check and correct records before exporting
+  btnResults.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('results.html') });
   });
 
-  // ── On popup open, ask content script for current state ───────
-  (async () => {
-    const tab = await getActiveMapTab();
-    if (!tab) return;
+  btnCSV.addEventListener('click', () => exportData('csv'));
+  btnExcel.addEventListener('click', () => exportData('excel'));
+  btnJSON.addEventListener('click', () => exportData('json'));
+  btnGeoJSON.addEventListener('click', () => exportData('geojson'));
+  btnKML.addEventListener('click', () => exportData('kml'));
+  btnVCard.addEventListener('click', () => exportData('vcard'));
 
-    const response = await sendToContent(tab, { action: 'getStatus' });
-    if (response) {
-      countEl.textContent = response.count || 0;
-      const hasData = (response.count || 0) > 0;
-      enableExportButtons(hasData);
+  btnReviewsCSV.addEventListener('click', async () => {
+    const response = await sendToBackground({ action: 'exportReviews', format: 'csv' });
+    if (response && response.status === 'no_data') {
+      showWarning('No reviews harvested yet. Enable "Harvest review text" and scrape.');
+    }
+  });
 
-      if (response.isRunning) {
-        setRunningState(true);
-      } else {
-        updateResetButton(hasData);
-      }
+  // ── Scrape options (read by the content script on each start) ─
+  async function loadSettings() {
+    const settings = await ScraperStorage.getSettings();
+    optHarvestReviews.checked = settings.harvestReviews;
+    optMaxReviews.value = settings.maxReviews;
+    optDropLowConfidence.checked = settings.dropLowConfidence;
+    optInvalidPhones.value = settings.invalidPhones;
+    optKnownPlaces.value = settings.knownPlaces;
+    optPacing.value = settings.pacing;
+    optDelayMin.value = settings.delayMinMs ? settings.delayMinMs / 1000 : '';
+    optDelayMax.value = settings.delayMaxMs ? settings.delayMaxMs / 1000 : '';
+    showPacingBounds();
+    optMaxPlaces.value = settings.maxPlaces;
+    optMaxMinutes.value = settings.maxMinutes;
+    optMaxScrollRounds.value = settings.maxScrollRounds;
+    renderFilterRules(settings.filters);
+
+    // Presets are built on the options page; the popup only picks one
+    for (const preset of await ScraperStorage.getExportPresets()) {
+      optExportPreset.appendChild(new Option(preset.name, preset.name));
     }
-  })();
+    optExportPreset.value = settings.exportPreset;
+    if (optExportPreset.value !== settings.exportPreset) optExportPreset.value = '';
+  }
+
+  optDropLowConfidence.addEventListener('change', () => {
+    saveSettings({ dropLowConfidence: optDropLowConfidence.checked });
+  });
+
+  optInvalidPhones.addEventListener('change', () => {
+    saveSettings({ invalidPhones: optInvalidPhones.value });
+  });
+
+  optKnownPlaces.addEventListener('change', () => {
+    saveSettings({ knownPlaces: optKnownPlaces.value });
+  });
+
+  optExportPreset.addEventListener('change', () => {
+    saveSettings({ exportPreset: optExportPreset.value });
+  });
+
+  optHarvestReviews.addEventListener('change', () => {
+    saveSettings({ harvestReviews: optHarvestReviews.checked });
+  });
+
+  optMaxReviews.addEventListener('change', () => {
+    const value = Math.max(1, parseInt(optMaxReviews.value, 10) || ScraperStorage.DEFAULT_SETTINGS.maxReviews);
+    optMaxReviews.value = value;
+    saveSettings({ maxReviews: value });
+  });
+
+  // ── Filter rules ──────────────────────────────────────────────
+  const FILTER_INPUTS = [optFilterEnabled, optMinRating, optMinReviews, optReviewsBelow,
+                         optFilterWebsite, optFilterPhone, optCategoryKeywords, optExcludeKeywords];
+
+  function renderFilterRules(saved) {
+    const rules = ScraperFilters.normalizeRules(saved);
+    optFilterEnabled.checked = rules.enabled;
+    optMinRating.value = rules.minRating === null ? '' : rules.minRating;
+    optMinReviews.value = rules.minReviews === null ? '' : rules.minReviews;
+    optReviewsBelow.value = rules.reviewsBelow === null ? '' : rules.reviewsBelow;
+    optFilterWebsite.value = rules.website;
+    optFilterPhone.value = rules.phone;
+    optCategoryKeywords.value = rules.categoryKeywords.join(', ');
+    optExcludeKeywords.value = rules.excludeKeywords.join(', ');
+    renderFilterSummary(rules);
+  }
+
+  function renderFilterSummary(rules) {
+    const parts = ScraperFilters.describeRules(rules);
+    filterSummary.textContent = parts.length
+      ? `Keeping places with ${parts.join('; ')}. Applies from the next start.`
+      : 'Every place is kept.';
+  }
+
+  function saveFilterRules() {
+    const rules = ScraperFilters.normalizeRules({
+      enabled: optFilterEnabled.checked,
+      minRating: optMinRating.value,
+      minReviews: optMinReviews.value,
+      reviewsBelow: optReviewsBelow.value,
+      website: optFilterWebsite.value,
+      phone: optFilterPhone.value,
+      categoryKeywords: optCategoryKeywords.value,
+      excludeKeywords: optExcludeKeywords.value
+    });
+    renderFilterSummary(rules);
+    saveSettings({ filters: rules });
+  }
+
+  for (const input of FILTER_INPUTS) input.addEventListener('change', saveFilterRules);
+
+  // Blank pause bounds show, and use, the speed profile's own
+  function showPacingBounds() {
+    const [min, max] = ScraperPacing.resolveProfile(optPacing.value).clickDelay;
+    optDelayMin.placeholder = min / 1000;
+    optDelayMax.placeholder = max / 1000;
+  }
+
+  optPacing.addEventListener('change', () => {
+    showPacingBounds();
+    saveSettings({ pacing: optPacing.value });
+  });
+
+  for (const [key, input] of [['delayMinMs', optDelayMin], ['delayMaxMs', optDelayMax]]) {
+    input.addEventListener('change', () => {
+      const seconds = Math.max(0, parseFloat(input.value) || 0);
+      input.value = seconds || '';
+      saveSettings({ [key]: Math.round(seconds * 1000) });
+    });
+  }
+
+  // Run limits: blank or negative means no limit
+  const LIMIT_INPUTS = { maxPlaces: optMaxPlaces, maxMinutes: optMaxMinutes, maxScrollRounds: optMaxScrollRounds };
+
+  for (const [key, input] of Object.entries(LIMIT_INPUTS)) {
+    input.addEventListener('change', () => {
+      const value = Math.max(0, parseInt(input.value, 10) || 0);
+      input.value = value;
+      saveSettings({ [key]: value });
+    });
+  }
+
+  linkOptions.addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+
+  linkDeliveryOptions.addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+
+  linkSchedules.addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+
+  // ── Listen for status pushed by the background worker ─────────
+  chrome.runtime.onMessage.addListener((request) => {
+    switch (request.action) {
+      case 'statusUpdate':
+        switch (request.event) {
+          case 'count':
+            countEl.textContent = request.status.count;
+            renderRejected(request.status.rejected);
+            enableExportButtons(request.status.count > 0);
+            break;
+
+          case 'progress':
+            progressInfo.textContent = request.status.progress || '';
+            break;
+
+          case 'enrich':
+            renderEnrichment(request.status.enrichment);
+            break;
+
+          case 'delivery':
+            renderDelivery(request.status.delivery);
+            break;
+
+          case 'error':
+            showWarning(request.status.error || 'An error occurred.');
+            refreshStatus();
+            break;
+
+          default:
+            // started, complete, stopped, reset: state changed enough to re-read
+            refreshStatus();
+        }
+        break;
+
+      case 'batchUpdate':
+        renderBatch(request.batch);
+        // Keep the stop button up between queries of a running batch
+        if (request.batch && request.batch.status === 'running') {
+          setRunningState(true);
+        }
+        break;
+    }
+  });
+
+  // ── On popup open, fetch the live status from the worker ──────
+  loadSettings().catch(err => console.error('Loading settings failed:', err));
+  refreshStatus();
 })();
@@ -0,0 +1,278 @@
+// results.js — Results page: browse, search, sort, correct and delete scraped places
+
+(function () {
+  'use strict';
+
+  // ── DOM Elements ──────────────────────────────────────────────
+  const search = document.getElementById('search');
+  const summary = document.getElementById('summary');
+  const statusEl = document.getElementById('status');
+  const headRow = document.getElementById('headRow');
+  const rowsEl = document.getElementById('rows');
+  const emptyState = document.getElementById('emptyState');
+  const selectAll = document.getElementById('selectAll');
+  const btnDeleteSelected = document.getElementById('btnDeleteSelected');
+  const btnCSV = document.getElementById('btnCSV');
+  const btnExcel = document.getElementById('btnExcel');
+  const btnJSON = document.getElementById('btnJSON');
+
+  const FIELDS = ScraperTable.FIELDS;
+
+  let records = [];
+  let sort = { key: '', direction: 'asc' };
+  const selected = new Set();   // unique URLs of ticked rows
+  let editing = null;           // { url, key } while a cell is open
+  let reloadPending = false;    // storage changed while a cell was open
+
+  // ── Helpers ───────────────────────────────────────────────────
+  // Stored places are written by the background worker only, so an edit
+  // here cannot overwrite enrichment landing at the same moment
+  async function sendToWorker(message) {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response || response.status === 'error') {
+      throw new Error((response && response.message) || 'The extension did not answer');
+    }
+    return response;
+  }
+
+  function showStatus(message, kind) {
+    statusEl.textContent = message;
+    statusEl.className = `status ${kind || ''}`;
+  }
+
+  // Same key the content script stored the record under
+  function uniqueUrlOf(record) {
+    return String(record.url || '').split('?')[0];
+  }
+
+  function visibleRecords() {
+    const found = ScraperTable.searchRecords(records, search.value);
+    return sort.key ? ScraperTable.sortRecords(found, sort.key, sort.direction) : found;
+  }
+
+  // ── Rendering ─────────────────────────────────────────────────
+  function renderHead() {
+    const counts = ScraperTable.emptyCounts(records);
+    headRow.querySelectorAll('th[data-key]').forEach(th => th.remove());
+    for (const field of FIELDS) {
+      const th = document.createElement('th');
+      th.dataset.key = field.key;
+      th.textContent = field.header;
+      if (counts[field.key]) {
+        const badge = document.createElement('span');
+        badge.className = 'empty-count';
+        badge.textContent = `${counts[field.key]} empty`;
+        th.appendChild(badge);
+      }
+      if (sort.key === field.key) th.classList.add(`sorted-${sort.direction}`);
+      headRow.appendChild(th);
+    }
+    const actions = document.createElement('th');
+    actions.dataset.key = '';
+    headRow.appendChild(actions);
+  }
+
+  function renderCell(record, field) {
+    const td = document.createElement('td');
+    const text = ScraperTable.displayValue(record, field.key);
+    td.dataset.key = field.key;
+    td.title = text;
+    if (field.editable) td.classList.add('editable');
+    if (ScraperTable.isEmpty(record, field.key)) td.classList.add('empty');
+
+    if (field.type === 'link' && text) {
+      const link = document.createElement('a');
+      link.href = text;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = text;
+      td.appendChild(link);
+    } else {
+      td.textContent = text;
+    }
+    return td;
+  }
+
+  function renderRows() {
+    const shown = visibleRecords();
+    rowsEl.textContent = '';
+    for (const record of shown) {
+      const url = uniqueUrlOf(record);
+      const tr = document.createElement('tr');
+      tr.dataset.url = url;
+
+      const check = document.createElement('td');
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.className = 'row-select';
+      box.checked = selected.has(url);
+      check.appendChild(box);
+      tr.appendChild(check);
+
+      for (const field of FIELDS) tr.appendChild(renderCell(record, field));
+
+      const actions = document.createElement('td');
+      const remove = document.createElement('button');
+      remove.className = 'row-delete';
+      remove.title = 'Delete this place';
+      remove.textContent = '🗑';
+      actions.appendChild(remove);
+      const open = document.createElement('a');
+      open.href = record.url;
+      open.target = '_blank';
+      open.rel = 'noopener';
+      open.title = 'Open in Google Maps';
+      open.textContent = ' ↗';
+      actions.appendChild(open);
+      tr.appendChild(actions);
+
+      rowsEl.appendChild(tr);
+    }
+
+    summary.textContent = shown.length === records.length
+      ? `${records.length} places`
+      : `${shown.length} of ${records.length} places`;
+    emptyState.classList.toggle('hidden', records.length > 0);
+    selectAll.checked = shown.length > 0 && shown.every(r => selected.has(uniqueUrlOf(r)));
+    btnDeleteSelected.disabled = selected.size === 0;
+    btnDeleteSelected.textContent = selected.size ? `🗑 Delete selected (${selected.size})` : '🗑 Delete selected';
+  }
+
+  function render() {
+    renderHead();
+    renderRows();
+  }
+
+  async function loadRecords() {
+    records = await ScraperStorage.getRecords();
+    const present = new Set(records.map(uniqueUrlOf));
+    for (const url of selected) if (!present.has(url)) selected.delete(url);
+    render();
+  }
+
+  // ── Inline editing ────────────────────────────────────────────
+  function openEditor(td, record, field) {
+    editing = { url: uniqueUrlOf(record), key: field.key };
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = ScraperTable.displayValue(record, field.key);
+    td.textContent = '';
+    td.appendChild(input);
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = async (save) => {
+      if (done) return;
+      done = true;
+      editing = null;
+      if (save && input.value.trim() !== ScraperTable.displayValue(record, field.key).trim()) {
+        try {
+          const changes = ScraperTable.editChanges(record, field.key, input.value);
+          await sendToWorker({ action: 'updateRecord', url: uniqueUrlOf(record), changes });
+          showStatus(`Saved ${field.header.toLowerCase()} for ${record.name || 'place'}.`, 'ok');
+        } catch (err) {
+          showStatus(err.message, 'error');
+        }
+      }
+      // The storage listener reloads after a save; a cancelled edit only redraws
+      if (reloadPending) {
+        reloadPending = false;
+        await loadRecords();
+      } else {
+        render();
+      }
+    };
+
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') finish(true);
+      if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+  }
+
+  rowsEl.addEventListener('click', (e) => {
+    const tr = e.target.closest('tr');
+    if (!tr) return;
+    const record = records.find(r => uniqueUrlOf(r) === tr.dataset.url);
+    if (!record) return;
+
+    if (e.target.classList.contains('row-select')) {
+      if (e.target.checked) selected.add(tr.dataset.url);
+      else selected.delete(tr.dataset.url);
+      renderRows();
+      return;
+    }
+    if (e.target.classList.contains('row-delete')) {
+      deleteRecords([tr.dataset.url]);
+      return;
+    }
+    if (e.target.closest('a') || e.target.tagName === 'INPUT') return;
+
+    const td = e.target.closest('td.editable');
+    if (!td || editing) return;
+    openEditor(td, record, FIELDS.find(f => f.key === td.dataset.key));
+  });
+
+  // ── Deleting ──────────────────────────────────────────────────
+  async function deleteRecords(urls) {
+    const label = urls.length === 1 ? 'this place' : `${urls.length} places`;
+    if (!confirm(`Delete ${label}? They are left out of exports and deliveries.`)) return;
+    try {
+      await sendToWorker({ action: 'deleteRecords', urls });
+      urls.forEach(url => selected.delete(url));
+      showStatus(`Deleted ${label}.`, 'ok');
+    } catch (err) {
+      showStatus(`Could not delete: ${err.message}`, 'error');
+    }
+  }
+
+  btnDeleteSelected.addEventListener('click', () => deleteRecords(Array.from(selected)));
+
+  selectAll.addEventListener('change', () => {
+    for (const record of visibleRecords()) {
+      if (selectAll.checked) selected.add(uniqueUrlOf(record));
+      else selected.delete(uniqueUrlOf(record));
+    }
+    renderRows();
+  });
+
+  // ── Search & sort ─────────────────────────────────────────────
+  search.addEventListener('input', renderRows);
+
+  headRow.addEventListener('click', (e) => {
+    const th = e.target.closest('th[data-key]');
+    if (!th || !th.dataset.key) return;
+    sort = sort.key === th.dataset.key
+      ? { key: sort.key, direction: sort.direction === 'asc' ? 'desc' : 'asc' }
+      : { key: th.dataset.key, direction: 'asc' };
+    render();
+  });
+
+  // ── Export (same files as the popup, built from the edited records) ──
+  async function exportData(format) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'export', format });
+      if (response && response.status === 'no_data') showStatus('Nothing to export yet.', 'error');
+      else if (response && response.status === 'error') showStatus(response.message || 'Export failed.', 'error');
+    } catch (err) {
+      showStatus(`Export failed: ${err.message}`, 'error');
+    }
+  }
+
+  btnCSV.addEventListener('click', () => exportData('csv'));
+  btnExcel.addEventListener('click', () => exportData('excel'));
+  btnJSON.addEventListener('click', () => exportData('json'));
+
+  // Places scraped, enriched or deleted elsewhere show up here as they land
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local' || !Object.keys(changes).some(ScraperStorage.isPlaceKey)) return;
+    if (editing) {
+      reloadPending = true;
+      return;
+    }
+    loadRecords().catch(err => showStatus(`Could not load places: ${err.message}`, 'error'));
+  });
+
+  loadRecords().catch(err => showStatus(`Could not load places: ${err.message}`, 'error'));
+})();
@@ -0,0 +1,83 @@
+// schedule.js — Recurring runs of a saved search, fired by chrome.alarms
+//
+// A schedule is { id, name, terms: [], locations: [], repeat, time, day,
+// enabled, lastRunAt, lastResult }. The background worker turns each enabled
+// one into an alarm and runs it through the batch queue when it fires.
+
+(function (root) {
+  'use strict';
+
+  const ALARM_PREFIX = 'schedule:';
+  const REPEATS = ['hourly', 'daily', 'weekly'];
+  const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+  function alarmName(id) {
+    return ALARM_PREFIX + id;
+  }
+
+  // The schedule id behind an alarm, or null for other alarms
+  function scheduleIdOf(name) {
+    return String(name).startsWith(ALARM_PREFIX) ? name.slice(ALARM_PREFIX.length) : null;
+  }
+
+  function parseTime(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(time || '').trim());
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+    return { hours: Number(match[1]), minutes: Number(match[2]) };
+  }
+
+  function validateSchedule(schedule) {
+    if (!schedule || !String(schedule.name || '').trim()) throw new Error('Give the schedule a name');
+    if (!Array.isArray(schedule.terms) || !schedule.terms.length) throw new Error('Enter at least one search term');
+    if (!REPEATS.includes(schedule.repeat)) throw new Error(`Unknown repeat: ${schedule.repeat}`);
+    if (!parseTime(schedule.time)) throw new Error('Time must be HH:MM, e.g. 02:30');
+    if (schedule.repeat === 'weekly' && !(schedule.day >= 0 && schedule.day <= 6)) {
+      throw new Error('Pick a day of the week');
+    }
+    return true;
+  }
+
+  // Next local time the schedule is due, strictly after `from` (ms).
+  // Hourly runs use only the minutes of `time`
+  function nextRunAt(schedule, from = Date.now()) {
+    const { hours, minutes } = parseTime(schedule.time);
+    const next = new Date(from);
+    next.setSeconds(0, 0);
+
+    if (schedule.repeat === 'hourly') {
+      next.setMinutes(minutes);
+      if (next.getTime() <= from) next.setHours(next.getHours() + 1);
+      return next.getTime();
+    }
+
+    next.setHours(hours, minutes);
+    if (schedule.repeat === 'weekly') {
+      next.setDate(next.getDate() + ((schedule.day - next.getDay() + 7) % 7));
+      if (next.getTime() <= from) next.setDate(next.getDate() + 7);
+    } else if (next.getTime() <= from) {
+      next.setDate(next.getDate() + 1);
+    }
+    return next.getTime();
+  }
+
+  // "Daily at 02:30", "Mondays at 09:00", "Hourly at :15"
+  function describeSchedule(schedule) {
+    const { minutes } = parseTime(schedule.time) || { minutes: 0 };
+    if (schedule.repeat === 'hourly') return `Hourly at :${String(minutes).padStart(2, '0')}`;
+    if (schedule.repeat === 'weekly') return `${DAYS[schedule.day]}s at ${schedule.time}`;
+    return `Daily at ${schedule.time}`;
+  }
+
+  const ScraperSchedule = {
+    REPEATS,
+    DAYS,
+    alarmName,
+    scheduleIdOf,
+    validateSchedule,
+    nextRunAt,
+    describeSchedule
+  };
+
+  root.ScraperSchedule = ScraperSchedule;
+  if (typeof module !== 'undefined' && module.exports) module.exports = ScraperSchedule;
+})(globalThis);
@@ -0,0 +1,1396 @@
+// scraper.js — GoogleMapsScraper: feed traversal and detail-panel extraction
+//
+// Loaded before content.js in the extension, and via require() in the
+// offline test suite, where a jsdom document stands in for Google Maps.
+
+(function (root) {
+  'use strict';
+
+  // ═══════════════════════════════════════════════════════════════
+  //  GOOGLE MAPS SCRAPER CLASS
+  // ═══════════════════════════════════════════════════════════════
+
+  class GoogleMapsScraper {
+    constructor() {
+      this.scrapedData = [];
+      this.scrapedUrls = new Set();
+      this.isRunning = false;
+      this.stoppedByUser = false;
+      // Delays and the detail-panel timeout; replaced from settings on start
+      this.pacer = ScraperPacing.createPacer();
+      this.MAX_SCROLL_FAILS = 3;      // consecutive scroll fails before stopping
+      this.TRACKED_FIELDS = ['name', 'category', 'phone', 'website', 'address', 'rating', 'reviews',
+                             'priceLevel', 'plusCode', 'hours'];
+      this.fieldSources = {};
+      this.cardPhoneSource = null;
+      this.strategyStats = {};
+      this.WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+      this.runMeta = null;
+      this.settings = { ...ScraperStorage.DEFAULT_SETTINGS };
+      this.currentQuery = '';
+      this.addedThisRun = 0;
+      this.placeIndex = {};
+      this.skippedThisRun = 0;     // known places passed over in 'skip' mode
+      this.unchangedThisRun = 0;   // known places found unchanged in 'changes' mode
+      this.rejectedThisRun = 0;    // places turned down by the filter rules
+      this.runId = '';             // startedAt of the run, kept on resume and on each record
+      this.runRules = null;        // { runId, query, startedAt, rules, rejected } while rules are on
+      this.limitReason = '';       // set when a run limit ended the run
+      this.blockedReason = '';     // set when Maps showed a captcha or traffic warning
+      this.customProfile = null;
+      this.applyLocale(ScraperLocales.DEFAULT_LOCALE);
+      // Resolves once saved results are loaded; content.js sets it to restore()
+      this.ready = Promise.resolve();
+    }
+
+    // ── Persistence ───────────────────────────────────────────────
+
+    // A place that was opened but not kept; saved so a resumed run skips it
+    async markSeen(uniqueUrl) {
+      this.scrapedUrls.add(uniqueUrl);
+      try {
+        await ScraperStorage.saveSeenUrls(this.scrapedUrls);
+      } catch (err) {
+        this.log(`Could not save seen places: ${err.message}`);
+      }
+    }
+
+    // Filter rules are stored per run so an export mixing runs can say
+    // which rules each place went through. A resumed run adds to its count
+    async startRunRules(resumed) {
+      this.runId = this.runMeta.startedAt;
+      this.runRules = null;
+      if (!this.runMeta.filters) return;
+      let rejected = 0;
+      if (resumed) {
+        try {
+          const previous = (await ScraperStorage.getRunRules())[this.runId];
+          if (previous) rejected = previous.rejected || 0;
+        } catch (err) {
+          this.log(`Could not load filter rules of the run: ${err.message}`);
+        }
+      }
+      this.runRules = {
+        runId: this.runId,
+        query: this.currentQuery,
+        startedAt: this.runMeta.startedAt,
+        rules: this.runMeta.filters,
+        rejected
+      };
+      await this.saveRunRules();
+    }
+
+    async saveRunRules() {
+      try {
+        await ScraperStorage.saveRunRules(this.runRules);
+      } catch (err) {
+        this.log(`Could not save filter rules: ${err.message}`);
+      }
+    }
+
+    async restore() {
+      try {
+        const saved = await ScraperStorage.loadAll();
+        this.scrapedData = saved.records;
+        this.scrapedUrls = new Set(saved.seenUrls);
+        this.runMeta = saved.runMeta;
+        if (this.scrapedData.length) {
+          this.log(`Restored ${this.scrapedData.length} places from storage`);
+        }
+      } catch (err) {
+        this.log(`Could not restore saved data: ${err.message}`);
+      }
+      await this.loadSelectorProfile();
+    }
+
+    // Follows edits and deletions made on the results page, so the in-page
+    // copy and the live count match storage. record is null when deleted
+    applyStoredChange(uniqueUrl, record) {
+      const index = this.scrapedData.findIndex(d => this.getUniqueUrl(d.url) === uniqueUrl);
+      if (index === -1) return;
+      if (record) {
+        this.scrapedData[index] = record;
+      } else {
+        this.scrapedData.splice(index, 1);
+        this.sendCount();
+      }
+    }
+
+    applyProfile(profile) {
+      this.profile = profile;
+      this.selectors = profile.selectors;
+      this.patterns = profile.patterns;
+    }
+
+    // Translated labels and number format for the Maps UI language
+    applyLocale(code) {
+      this.locale = ScraperLocales.getLocale(code);
+      this.applyProfile(ScraperSelectors.compileProfile(this.customProfile, this.locale));
+    }
+
+    // Picks up edits made on the options page and the current UI language;
+    // a profile that no longer compiles falls back to the built-in one
+    // instead of failing the run
+    async loadSelectorProfile() {
+      const localeCode = ScraperLocales.detectLocale(document, location.href);
+      try {
+        this.customProfile = await ScraperStorage.getSelectorProfile();
+        this.applyLocale(localeCode);
+        if (this.customProfile) {
+          this.log(`Using selector profile "${this.profile.name}" (v${this.profile.version})`);
+        }
+      } catch (err) {
+        this.log(`Selector profile rejected, using built-in: ${err.message}`);
+        this.customProfile = null;
+        this.applyLocale(localeCode);
+      }
+      if (this.locale.code !== ScraperLocales.DEFAULT_LOCALE) {
+        this.log(`Maps UI language: ${this.locale.name}`);
+      }
+    }
+
+    async saveCheckpoint(checkpoint) {
+      try {
+        await ScraperStorage.saveCheckpoint({
+          ...checkpoint,
+          resumeRequested: false,
+          updatedAt: new Date().toISOString()
+        });
+      } catch (err) {
+        this.log(`Could not save checkpoint: ${err.message}`);
+      }
+    }
+
+    async updateRunMeta(changes) {
+      this.runMeta = {
+        ...(this.runMeta || {}),
+        ...changes,
+        count: this.scrapedData.length,
+        updatedAt: new Date().toISOString()
+      };
+      try {
+        await ScraperStorage.saveRunMeta(this.runMeta);
+      } catch (err) {
+        this.log(`Could not save run metadata: ${err.message}`);
+      }
+    }
+
+    // ── Utility helpers ───────────────────────────────────────────
+
+    wait(ms) {
+      return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    log(message) {
+      console.log(`[Maps Scraper] ${message}`);
+    }
+
+    // All events go to the background service worker, which keeps the
+    // live status for the popup, so they are delivered even when it is closed
+    notify(message) {
+      try {
+        chrome.runtime.sendMessage(message).catch(err => {
+          this.log(`Could not notify background: ${err.message}`);
+        });
+      } catch (err) {
+        // Extension was reloaded under this page; the context is gone
+        this.log(`Extension context unavailable: ${err.message}`);
+      }
+    }
+
+    sendStarted() {
+      this.notify({ action: 'scrapingStarted', query: this.currentQuery });
+    }
+
+    sendCount() {
+      this.notify({ action: 'updateCount', count: this.scrapedData.length, rejected: this.rejectedThisRun });
+    }
+
+    sendProgress(message) {
+      this.notify({ action: 'updateProgress', message });
+    }
+
+    sendComplete() {
+      this.notify({
+        action: 'scrapingComplete',
+        count: this.scrapedData.length,
+        added: this.addedThisRun,
+        known: this.skippedThisRun + this.unchangedThisRun,
+        rejected: this.rejectedThisRun,
+        limit: this.limitReason,
+        query: this.currentQuery
+      });
+    }
+
+    sendError(message) {
+      this.notify({ action: 'scrapingError', message });
+    }
+
+    sendBlocked(message) {
+      this.notify({ action: 'scrapingBlocked', message });
+    }
+
+    // ── Feed & card selectors ─────────────────────────────────────
+
+    getFeedContainer() {
+      return document.querySelector(this.selectors.feed);
+    }
+
+    getCards() {
+      const feed = this.getFeedContainer();
+      if (!feed) return [];
+      return Array.from(feed.querySelectorAll(this.selectors.cardLink));
+    }
+
+    async waitForFeed(timeout = 15000) {
+      const interval = 250;
+      for (let elapsed = 0; elapsed < timeout; elapsed += interval) {
+        const feed = this.getFeedContainer();
+        if (feed) return feed;
+        await this.wait(interval);
+      }
+      return null;
+    }
+
+    // ── Wait for the detail panel to fully load ───────────────────
+
+    waitForDetailPanel(previousName = '') {
+      const timeout = this.pacer.detailTimeout();
+      return new Promise(resolve => {
+        let elapsed = 0;
+        const interval = 100;
+
+        const check = setInterval(() => {
+          elapsed += interval;
+
+          // Find specific elements that only exist in the detail view
+          const detailH1 = this.placeHeadings().find(h1 => {
+            const text = h1.textContent.trim();
+            // VALIDATION:
+            // 1. Must be non-empty
+            // 2. Must not be a list header such as "Results" or "Google Maps"
+            // 3. Must be DIFFERENT from the previous place name (unless it's the very first scrape)
+            return text.length > 0 && 
+                   !this.profile.ignoredHeadings.includes(text) &&
+                   text !== previousName;
+          });
+          
+          const hasActionButtons = document.querySelector(this.selectors.detailActionButton);
+          const hasTabs = document.querySelector(this.selectors.detailTabs);
+          const hasHotelClass = document.querySelector(this.selectors.hotelHeader); // Extra check for hotel header existence
+
+          if (detailH1 && (hasActionButtons || hasTabs || hasHotelClass)) {
+            clearInterval(check);
+            resolve(true);
+          }
+
+          if (elapsed >= timeout) {
+            clearInterval(check);
+            resolve(!!detailH1);
+          }
+        }, interval);
+      });
+    }
+
+    // ── Data extraction from the open detail panel ────────────────
+
+    // "/maps/search/dentist+in+Amritsar/@31.6,74.8,13z" → "dentist in Amritsar"
+    getSearchQueryFromUrl(url = location.href) {
+      const match = url.match(/\/maps\/search\/([^/@?]+)/);
+      if (!match) return '';
+      try {
+        return decodeURIComponent(match[1].replace(/\+/g, ' ')).trim();
+      } catch (_) {
+        return match[1];
+      }
+    }
+
+    getUniqueUrl(url) {
+      if (!url) return '';
+      // Strip query parameters to use as unique ID
+      return url.split('?')[0]; 
+    }
+
+    // ── Place index (places seen in earlier runs) ─────────────────
+    // Keyed by the CID in the card link, which survives renames and slug
+    // changes; the place ID or the bare URL when the link has no CID
+
+    placeIndexKey(url) {
+      const ids = this.parsePlaceUrl(url);
+      if (ids.cid) return `cid:${ids.cid}`;
+      if (ids.placeId) return `id:${ids.placeId}`;
+      return `url:${this.getUniqueUrl(url)}`;
+    }
+
+    isKnownPlace(url) {
+      return Object.prototype.hasOwnProperty.call(this.placeIndex, this.placeIndexKey(url));
+    }
+
+    // FNV-1a; only compared for equality, so 32 bits are plenty
+    hashText(text) {
+      let hash = 0x811c9dc5;
+      for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+      }
+      return (hash >>> 0).toString(36);
+    }
+
+    // One short hash per tracked field, enough to tell which ones changed
+    fingerprintPlace(data) {
+      const hashes = {};
+      for (const field of this.TRACKED_FIELDS) {
+        hashes[field] = this.hashText(JSON.stringify(data[field] === undefined ? '' : data[field]));
+      }
+      return hashes;
+    }
+
+    // Records the place in the in-memory index.
+    // Result: { key, entry, seenBefore, changedFields }
+    trackPlace(data, url) {
+      const key = this.placeIndexKey(url);
+      const previous = this.isKnownPlace(url) ? this.placeIndex[key] : null;
+      const hashes = this.fingerprintPlace(data);
+      const changedFields = previous
+        ? this.TRACKED_FIELDS.filter(field => previous.hashes[field] !== hashes[field])
+        : [];
+      const entry = {
+        firstSeenAt: previous ? previous.firstSeenAt : data.scrapedAt,
+        lastSeenAt: data.scrapedAt,
+        name: data.name,
+        hashes
+      };
+      this.placeIndex[key] = entry;
+      return { key, entry, seenBefore: !!previous, changedFields };
+    }
+
+    // Candidate name headings, without the "Sponsored" heading that hotel
+    // panels put above the place name
+    placeHeadings() {
+      return Array.from(document.querySelectorAll(this.selectors.nameHeading))
+        .filter(h1 => !h1.matches(this.selectors.adHeading));
+    }
+
+    extractName() {
+      // Filter out common UI headers
+      const validH1 = this.placeHeadings().find(h1 => {
+        const text = h1.textContent.trim();
+        return text.length > 0 && 
+               !this.profile.ignoredHeadings.includes(text) &&
+               !text.includes("found"); // e.g. "No results found"
+      });
+      
+      if (validH1) return this.found('name', 'heading', 'high', validH1.textContent.trim());
+      
+      // Fallback: aria-label of the main content region sometimes has the name
+      const mainRegion = document.querySelector(this.selectors.mainRegion);
+      if (mainRegion) {
+        const label = mainRegion.getAttribute('aria-label');
+        if (label && !this.profile.ignoredHeadings.includes(label)) {
+          return this.found('name', 'main-aria-label', 'medium', label);
+        }
+      }
+
+      return ''; 
+    }
+
+    extractPhone() {
+      let phone = '';
+      let source = null;
+
+      // Method 1: button with data-item-id containing "phone"
+      const phoneBtn = document.querySelector(this.selectors.phoneButton);
+      if (phoneBtn) {
+        const label = phoneBtn.getAttribute('aria-label') || '';
+        phone = label.replace(this.patterns.phoneLabel, '').trim() || phoneBtn.textContent.trim();
+        source = ['data-item-id', 'high'];
+      }
+
+      // Method 2: button whose aria-label starts with "Phone"
+      if (!phone) {
+        const byLabel = document.querySelector(this.selectors.phoneLabelButton);
+        if (byLabel) {
+          phone = byLabel.getAttribute('aria-label').replace(this.patterns.phoneLabel, '').trim();
+          source = ['aria-label', 'high'];
+        }
+      }
+
+      // Method 3: scan all buttons for a phone-number pattern
+      if (!phone) {
+        const buttons = Array.from(document.querySelectorAll('button'));
+        for (const btn of buttons) {
+          const text = (btn.textContent || '') + ' ' + (btn.getAttribute('aria-label') || '');
+          const match = text.match(this.patterns.phoneNumber);
+          if (match) {
+            phone = match[0].trim();
+            source = ['button-regex', 'low'];
+            break;
+          }
+        }
+      }
+
+      const cleaned = this.cleanPhone(phone);
+      return source ? this.found('phone', source[0], source[1], cleaned) : cleaned;
+    }
+
+    extractPhoneFromCard(card) {
+      // Some categories (dentists, etc.) show phone right on the list card
+      this.cardPhoneSource = null;
+      try {
+        const container = card.closest(this.selectors.cardContainer) || card.parentElement;
+        if (!container) return '';
+
+        const spans = container.querySelectorAll('span');
+        for (const span of spans) {
+          const text = span.textContent.trim();
+          if (this.patterns.phoneNumber.test(text)) {
+            this.cardPhoneSource = { strategy: 'card-text', confidence: 'low' };
+            return this.cleanPhone(text);
+          }
+        }
+
+        const ariaPhoneEl = container.querySelector(this.selectors.cardPhoneLabel);
+        if (ariaPhoneEl) {
+          this.cardPhoneSource = { strategy: 'card-aria-label', confidence: 'medium' };
+          return this.cleanPhone(
+            ariaPhoneEl.getAttribute('aria-label').replace(this.patterns.phoneLabel, '')
+          );
+        }
+      } catch (_) { /* ignore */ }
+
+      return '';
+    }
+
+    cleanPhone(text) {
+      if (!text) return '';
+      const match = text.match(/[\+\(]?[\d\s\-\(\)\.]{7,}/);
+      return match ? match[0].replace(/[\s\-\.]+$/g, '').trim() : '';
+    }
+
+    extractWebsite() {
+      // Method 1: link with data-item-id="authority"
+      const authorityLink = document.querySelector(this.selectors.websiteLink);
+      if (authorityLink) {
+        return this.found('website', 'authority-link', 'high',
+          authorityLink.href || authorityLink.getAttribute('href') || '');
+      }
+
+      // Method 2: button with data-item-id="authority"
+      const authorityBtn = document.querySelector(this.selectors.websiteButton);
+      if (authorityBtn) {
+        const label = authorityBtn.getAttribute('aria-label') || '';
+        const urlMatch = label.match(/https?:\/\/[^\s]+/);
+        return urlMatch
+          ? this.found('website', 'authority-button-url', 'high', urlMatch[0])
+          : this.found('website', 'authority-button-label', 'medium', label.replace(this.patterns.websiteLabel, '').trim());
+      }
+
+      // Method 3: scan action buttons area for an external link
+      const actionArea = document.querySelector(this.selectors.mainRegion);
+      if (actionArea) {
+        const links = actionArea.querySelectorAll('a[href]');
+        for (const link of links) {
+          const href = link.href;
+          if (href && !href.includes('google.com') &&
+              !href.includes('gstatic.com') &&
+              href.startsWith('http')) {
+            return this.found('website', 'external-link-scan', 'low', href);
+          }
+        }
+      }
+
+      return '';
+    }
+
+    extractAddress() {
+      const addressBtn = document.querySelector(this.selectors.addressButton);
+      if (addressBtn) {
+        const label = addressBtn.getAttribute('aria-label') || '';
+        return this.found('address', 'data-item-id', 'high',
+          label.replace(this.patterns.addressLabel, '').trim() || addressBtn.textContent.trim());
+      }
+      return '';
+    }
+
+    // Ratings run from 1 to 5, so "4.500" read as 4500 is a misparse
+    parseRating(text) {
+      const rating = ScraperLocales.parseNumber(text, this.locale);
+      return rating && Number(rating) <= 5 ? rating : '';
+    }
+
+    extractRating() {
+      // aria-label like "4.5 stars 123 Reviews"
+      const ratingEl = document.querySelector(this.selectors.ratingImage);
+      if (ratingEl) {
+        const label = ratingEl.getAttribute('aria-label') || '';
+        const match = label.match(this.patterns.ratingStars);
+        const rating = match ? this.parseRating(match[1]) : '';
+        return rating ? this.found('rating', 'star-aria-label', 'high', rating) : '';
+      }
+
+      // Fallback: look for rating span near review count
+      const ratingSpan = document.querySelector(this.selectors.ratingFallback);
+      if (ratingSpan) {
+        const text = ratingSpan.textContent.trim();
+        const rating = /^\d[.,]\d$/.test(text) ? this.parseRating(text) : '';
+        if (rating) return this.found('rating', 'aria-hidden-span', 'low', rating);
+      }
+
+      return '';
+    }
+
+    extractReviews() {
+      const ratingEl = document.querySelector(this.selectors.ratingImage);
+      if (ratingEl) {
+        const label = ratingEl.getAttribute('aria-label') || '';
+        const match = label.match(this.patterns.reviewCount);
+        const count = match ? ScraperLocales.parseNumber(match[1], this.locale) : '';
+        if (count) return this.found('reviews', 'star-aria-label', 'high', count);
+      }
+
+      // Fallback: look for parenthesized number near rating
+      const spans = Array.from(document.querySelectorAll(this.selectors.reviewsLabel));
+      for (const span of spans) {
+         const label = span.getAttribute('aria-label');
+         const match = label.match(this.patterns.reviewCount);
+         const count = match ? ScraperLocales.parseNumber(match[1], this.locale) : '';
+         if (count) return this.found('reviews', 'reviews-aria-label', 'medium', count);
+      }
+      
+      // Fallback 2: look for parenthesized number in text
+      const allSpans = document.querySelectorAll('span');
+      for (const span of allSpans) {
+        const text = span.textContent.trim();
+        const match = text.match(/^\(?([\d,.]+)\)?$/);
+        // Whole numbers only, so a "4,5" rating is not taken for a count
+        const count = match ? ScraperLocales.parseNumber(match[1], this.locale) : '';
+        if (/^\d+$/.test(count) && parseInt(count) > 0 ) {
+           // Ensure it's not a year or price by checking context if possible
+           // But generally (230) is likely reviews if near rating
+           return this.found('reviews', 'parenthesized-number', 'low', count);
+        }
+      }
+
+      return '';
+    }
+
+    extractCategory() {
+      // Category usually appears as a button or span near the name
+      const categoryBtn = document.querySelector(this.selectors.categoryButton);
+      if (categoryBtn) return this.found('category', 'category-button', 'high', categoryBtn.textContent.trim());
+      
+      // Fallback: Hotel star rating sometimes looks like category "5-star hotel"
+      const hotelStars = document.querySelector(this.selectors.hotelStars);
+      if (hotelStars) return this.found('category', 'hotel-stars', 'medium', hotelStars.textContent.trim());
+
+      // Hotels have no category button: the class ("5-star hotel") is plain
+      // text after a "·" in the line under the rating
+      const hotelClass = document.querySelector(this.selectors.hotelClass);
+      if (hotelClass) {
+        const text = hotelClass.textContent.replace(/·/g, '').trim();
+        if (text) return this.found('category', 'hotel-class', 'medium', text);
+      }
+
+      // Sometimes shown as a span right after the rating row
+      // We look for the detail panel container if role="main" is missing
+      const infoArea = document.querySelector(this.selectors.infoArea);
+      if (infoArea) {
+        const spans = infoArea.querySelectorAll('span');
+        for (const span of spans) {
+          const text = span.textContent.trim();
+          // Category patterns: "Dentist", "Hotel", "Italian restaurant", etc.
+          if (text.length > 2 && text.length < 60 &&
+              !this.patterns.categoryExclude.test(text)) {
+            // Heuristic: categories are short words
+            if (/^[A-Z]/.test(text) && text.split(' ').length <= 4) {
+              return this.found('category', 'span-heuristic', 'low', text);
+            }
+          }
+        }
+      }
+
+      return '';
+    }
+
+    extractPriceLevel() {
+      // aria-label like "Price: Moderate" on the "₹₹" span
+      const priceEl = document.querySelector(this.selectors.priceLabel);
+      if (priceEl) {
+        const text = priceEl.textContent.replace(/·/g, '').trim();
+        if (text) return this.found('priceLevel', 'price-aria-label', 'high', text);
+      }
+
+      // Fallback: a span that is only currency symbols, or a range like "₹200–400"
+      const infoArea = document.querySelector(this.selectors.mainRegion);
+      if (infoArea) {
+        for (const span of infoArea.querySelectorAll('span')) {
+          const text = span.textContent.replace(/·/g, '').trim();
+          if (/^[₹$€£¥₩]{1,4}$/.test(text) || /^[₹$€£¥₩][\d,]+\s*[–-]\s*[\d,]+$/.test(text)) {
+            return this.found('priceLevel', 'currency-span', 'low', text);
+          }
+        }
+      }
+
+      return '';
+    }
+
+    extractPlusCode() {
+      const plusCodeBtn = document.querySelector(this.selectors.plusCodeButton);
+      if (plusCodeBtn) {
+        const label = plusCodeBtn.getAttribute('aria-label') || '';
+        return this.found('plusCode', 'oloc-button', 'high',
+          label.replace(this.patterns.plusCodeLabel, '').trim() || plusCodeBtn.textContent.trim());
+      }
+      return '';
+    }
+
+    // ── Place identifiers from the Maps URL ───────────────────────
+    // /maps/place/…/data=!4m7!3m6!1s0x39…:0x8f…!8m2!3d31.63!4d74.87!…!19sChIJ…
+
+    parsePlaceUrl(url) {
+      const result = { latitude: '', longitude: '', placeId: '', cid: '' };
+      if (!url) return result;
+
+      const lat = url.match(/!3d(-?\d+(?:\.\d+)?)/);
+      const lng = url.match(/!4d(-?\d+(?:\.\d+)?)/);
+      if (lat && lng) {
+        result.latitude = lat[1];
+        result.longitude = lng[1];
+      } else {
+        // Fallback: viewport centre "@31.63,74.87,17z"
+        const at = url.match(/@(-?\d+\.\d+),(-?\d+\.\d+)/);
+        if (at) {
+          result.latitude = at[1];
+          result.longitude = at[2];
+        }
+      }
+
+      const placeId = url.match(/!19s(ChIJ[^!?&/]+)/);
+      if (placeId) result.placeId = decodeURIComponent(placeId[1]);
+
+      // The second half of the feature id is the CID in hex
+      const featureId = url.match(/!1s0x[0-9a-f]+:(0x[0-9a-f]+)/i);
+      if (featureId) {
+        try {
+          result.cid = BigInt(featureId[1]).toString();
+        } catch (_) { /* malformed id */ }
+      }
+
+      return result;
+    }
+
+    // ── Opening hours ─────────────────────────────────────────────
+    // Result: { monday: { status, periods: [{ open, close }], text }, … }
+    // status is 'open', 'closed' or 'open24'; times are 24h "HH:MM"
+
+    extractHours() {
+      const hours = {};
+      let strategy = 'hours-table';
+      let confidence = 'high';
+
+      // Method 1: the weekly hours table in the detail panel
+      const rows = document.querySelectorAll(this.selectors.hoursTableRow);
+      for (const row of rows) {
+        const cells = row.querySelectorAll('td');
+        if (cells.length < 2) continue;
+        const day = this.parseWeekday(cells[0].textContent);
+        if (!day) continue;
+        const text = cells[1].getAttribute('aria-label') || cells[1].textContent;
+        hours[day] = this.parseDayHours(text);
+      }
+
+      // Method 2: the hours toggle's aria-label
+      // "Monday, 9 am to 5 pm; Tuesday, Closed; …; Hide open hours for the week"
+      if (Object.keys(hours).length === 0) {
+        strategy = 'hours-aria-label';
+        confidence = 'medium';
+        const toggle = document.querySelector(this.selectors.hoursToggle);
+        const label = (toggle ? toggle.getAttribute('aria-label') : '')
+          .replace(this.patterns.hideHours, '');
+        for (const entry of label.split(';')) {
+          const [dayPart, ...rest] = entry.split(',');
+          const day = this.parseWeekday(dayPart);
+          if (day && rest.length) hours[day] = this.parseDayHours(rest.join(','));
+        }
+      }
+
+      return Object.keys(hours).length ? this.found('hours', strategy, confidence, hours) : null;
+    }
+
+    parseWeekday(text) {
+      const cleaned = (text || '').replace(/\(.*?\)/g, '').trim().toLowerCase();
+      const index = this.locale.weekdays.findIndex(day => cleaned.startsWith(day));
+      if (index !== -1) return this.WEEKDAYS[index];
+      return this.WEEKDAYS.find(day => cleaned.startsWith(day)) || '';
+    }
+
+    parseDayHours(text) {
+      const cleaned = (text || '').replace(/\s+/g, ' ').trim();
+
+      if (this.patterns.open24.test(cleaned)) {
+        return { status: 'open24', periods: [{ open: '00:00', close: '24:00' }], text: cleaned };
+      }
+      if (this.patterns.closed.test(cleaned)) {
+        return { status: 'closed', periods: [], text: cleaned };
+      }
+
+      // "9:30 am–1 pm, 4–8 pm" → two periods
+      const periods = cleaned.split(',')
+        .map(range => this.parseTimeRange(range))
+        .filter(Boolean);
+
+      return { status: periods.length ? 'open' : 'unknown', periods, text: cleaned };
+    }
+
+    parseTimeRange(range) {
+      const parts = range.split(this.patterns.timeRange);
+      if (parts.length !== 2) return null;
+
+      const close = this.parseClockTime(parts[1]);
+      // Start often omits the meridiem ("4–8 pm"); borrow it from the end
+      const open = this.parseClockTime(parts[0], close && close.meridiem);
+      if (!open || !close) return null;
+
+      // "11–2 pm" means 11 am, not 11 pm
+      if (!open.explicit && open.minutes > close.minutes && open.minutes >= 12 * 60) {
+        open.minutes -= 12 * 60;
+      }
+
+      return { open: this.formatClockTime(open.minutes), close: this.formatClockTime(close.minutes) };
+    }
+
+    parseClockTime(text, fallbackMeridiem = '') {
+      // Leading words such as the Spanish "de 9:00" are dropped
+      const match = (text || '').trim().replace(/^[^\d]+/, '').match(/^(\d{1,2})(?:[:.](\d{2}))?\s*([ap])?\.?\s*m?\.?/i);
+      if (!match) return null;
+
+      let hour = parseInt(match[1], 10);
+      const minute = match[2] ? parseInt(match[2], 10) : 0;
+      const meridiem = (match[3] || fallbackMeridiem || '').toLowerCase();
+
+      if (meridiem === 'p' && hour < 12) hour += 12;
+      if (meridiem === 'a' && hour === 12) hour = 0;
+      if (hour > 24 || minute > 59) return null;
+
+      return { minutes: hour * 60 + minute, meridiem, explicit: !!match[3] };
+    }
+
+    formatClockTime(minutes) {
+      const h = String(Math.floor(minutes / 60)).padStart(2, '0');
+      const m = String(minutes % 60).padStart(2, '0');
+      return `${h}:${m}`;
+    }
+
+    // ── Extraction provenance ─────────────────────────────────────
+    // Every extractor reports which of its fallbacks produced the value,
+    // so exports can tell markup-backed data from heuristic guesses
+
+    found(field, strategy, confidence, value) {
+      if (value) this.fieldSources[field] = { strategy, confidence };
+      return value;
+    }
+
+    // Blank out values that only the riskiest heuristics produced
+    dropLowConfidence(data) {
+      for (const [field, source] of Object.entries(data.sources)) {
+        if (source.confidence === 'low' && field !== 'name') {
+          data[field] = '';
+          source.dropped = true;
+        }
+      }
+    }
+
+    // ISO country of the place: from the address, then the Maps region
+    inferCountry(data) {
+      return ScraperPhone.inferCountry(data.address, ScraperPhone.detectRegion(document, location.href));
+    }
+
+    // Adds phoneE164 / phoneNational / phoneValid next to the displayed number
+    normalizePhoneFields(data, country) {
+      data.phoneE164 = '';
+      data.phoneNational = '';
+      data.phoneValid = null;
+      if (!data.phone) return;
+
+      const parsed = ScraperPhone.normalizePhone(data.phone, country);
+      data.phoneE164 = parsed.e164;
+      data.phoneNational = parsed.national;
+      data.phoneValid = parsed.valid;
+
+      if (!parsed.valid && this.settings.invalidPhones === 'drop') {
+        this.log(`Dropped phone that failed validation: ${data.phone}`);
+        data.phone = '';
+        if (data.sources.phone) data.sources.phone.dropped = true;
+      }
+    }
+
+    // Per-run tally: { phone: { 'data-item-id': 40, 'button-regex': 2, none: 5 }, … }
+    countStrategies(data) {
+      for (const field of this.TRACKED_FIELDS) {
+        const source = data.sources[field];
+        const key = source ? source.strategy : 'none';
+        const counts = this.strategyStats[field] || (this.strategyStats[field] = {});
+        counts[key] = (counts[key] || 0) + 1;
+      }
+    }
+
+    logStrategySummary() {
+      for (const [field, counts] of Object.entries(this.strategyStats)) {
+        const parts = Object.entries(counts).map(([strategy, n]) => `${strategy}: ${n}`);
+        this.log(`Strategies for ${field} — ${parts.join(', ')}`);
+      }
+    }
+
+    // ── Full extraction for one place ─────────────────────────────
+
+    extractAllData() {
+      this.fieldSources = {};
+      const data = {
+        name: this.extractName(),
+        category: this.extractCategory(),
+        phone: this.extractPhone(),
+        website: this.extractWebsite(),
+        address: this.extractAddress(),
+        rating: this.extractRating(),
+        reviews: this.extractReviews(),
+        priceLevel: this.extractPriceLevel(),
+        plusCode: this.extractPlusCode(),
+        hours: this.extractHours(),
+      };
+      data.sources = this.fieldSources;
+      return data;
+    }
+
+    // ── Review text harvesting ──────────────────────────────────
+
+    openReviewsTab() {
+      const tabs = document.querySelectorAll(this.selectors.reviewsTab);
+      for (const tab of tabs) {
+        const label = `${tab.getAttribute('aria-label') || ''} ${tab.textContent}`;
+        if (this.patterns.reviewsTab.test(label)) {
+          tab.click();
+          return true;
+        }
+      }
+      return false;
+    }
+
+    getReviewElements() {
+      // The outer review block carries both the id and the author as aria-label;
+      // inner nodes repeat the id, so keep one element per id
+      const seen = new Set();
+      const elements = [];
+      for (const el of document.querySelectorAll(this.selectors.reviewItem)) {
+        const id = el.getAttribute('data-review-id');
+        if (seen.has(id)) continue;
+        seen.add(id);
+        elements.push(el);
+      }
+      return elements;
+    }
+
+    getScrollableAncestor(el) {
+      for (let node = el && el.parentElement; node; node = node.parentElement) {
+        if (node.scrollHeight > node.clientHeight + 10) {
+          const overflow = getComputedStyle(node).overflowY;
+          if (overflow === 'auto' || overflow === 'scroll') return node;
+        }
+      }
+      return null;
+    }
+
+    expandReviewTexts() {
+      const moreButtons = document.querySelectorAll(this.selectors.reviewMoreButton);
+      for (const btn of moreButtons) {
+        try { btn.click(); } catch (_) { /* detached */ }
+      }
+    }
+
+    parseReview(el) {
+      const textOf = selector => {
+        const node = el.querySelector(selector);
+        return node ? node.textContent.trim() : '';
+      };
+
+      const ratingEl = el.querySelector(this.selectors.reviewRating);
+      const ratingMatch = ratingEl ? (ratingEl.getAttribute('aria-label') || '').match(/([\d.]+)/) : null;
+
+      // Review text is the first text node outside the owner's reply block
+      const ownerBlock = el.querySelector(this.selectors.reviewOwnerBlock);
+      const textEl = Array.from(el.querySelectorAll(this.selectors.reviewText))
+        .find(node => !ownerBlock || !ownerBlock.contains(node));
+      const ownerTextEl = ownerBlock ? ownerBlock.querySelector(this.selectors.reviewText) : null;
+
+      return {
+        id: el.getAttribute('data-review-id') || '',
+        author: textOf(this.selectors.reviewAuthor) || el.getAttribute('aria-label') || '',
+        rating: ratingMatch ? ratingMatch[1] : '',
+        date: textOf(this.selectors.reviewDate),
+        text: textEl ? textEl.textContent.trim() : '',
+        ownerResponse: ownerTextEl ? ownerTextEl.textContent.trim() : ''
+      };
+    }
+
+    async harvestReviews(maxReviews) {
+      if (!this.openReviewsTab()) {
+        this.log('No Reviews tab on this place');
+        return [];
+      }
+
+      // Wait for the first reviews to render
+      const timeout = this.pacer.detailTimeout();
+      for (let elapsed = 0; elapsed < timeout && !this.getReviewElements().length; elapsed += 200) {
+        await this.wait(200);
+      }
+
+      let scrollFails = 0;
+      while (this.isRunning && this.getReviewElements().length < maxReviews && scrollFails < 2) {
+        const elements = this.getReviewElements();
+        const container = this.getScrollableAncestor(elements[elements.length - 1]);
+        if (!container) break;
+
+        const before = elements.length;
+        container.scrollTop = container.scrollHeight;
+        await this.wait(800);
+        scrollFails = this.getReviewElements().length > before ? 0 : scrollFails + 1;
+      }
+
+      // "More" expands truncated text in place
+      this.expandReviewTexts();
+      await this.wait(300);
+
+      return this.getReviewElements().slice(0, maxReviews).map(el => this.parseReview(el));
+    }
+
+    // ── Scrape a single card ──────────────────────────────────────
+
+    async scrapeCard(card) {
+      const rawUrl = card.href;
+      const uniqueUrl = this.getUniqueUrl(rawUrl);
+
+      // Dedup check using the clean URL
+      if (this.scrapedUrls.has(uniqueUrl)) {
+        return false;
+      }
+
+      // Capture the CURRENT name displayed in the panel (if any)
+      // We will wait for the name to CHANGE from this value
+      const previousName = this.extractName();
+
+      // Try extracting phone from the outer card first (backup)
+      const outerPhone = this.extractPhoneFromCard(card);
+
+      // Click the card to open detail panel
+      card.click();
+
+      // Wait for detail panel content to change
+      const loaded = await this.waitForDetailPanel(previousName);
+      if (loaded) {
+        this.pacer.recordLoaded();
+      } else {
+        this.log(`Detail panel did not load or update for: ${uniqueUrl}`);
+        if (this.checkBlocked()) return false;
+        const pause = this.pacer.recordTimeout();
+        if (pause) {
+          this.log(`Detail panels keep timing out, slowing down ${this.pacer.slowdown}× and pausing ${pause / 1000} s`);
+          this.sendProgress(`Maps is responding slowly, pausing ${Math.round(pause / 1000)} s…`);
+          await this.wait(pause);
+        }
+      }
+
+      // Small extra wait for any trailing DOM mutations
+      await this.wait(this.pacer.settleWait());
+
+      // Check if we actually got new data
+      const currentName = this.extractName();
+      if (currentName === previousName && previousName !== '') {
+          this.log(`Duplicate content detected (Name did not change from '${previousName}'). Skipping.`);
+          return false;
+      }
+
+      // Extract data
+      const data = this.extractAllData();
+
+      // Use outer-card phone if detail panel didn't have one
+      if (!data.phone && outerPhone) {
+        data.phone = outerPhone;
+        data.sources.phone = this.cardPhoneSource;
+      }
+
+      if (this.settings.dropLowConfidence) {
+        this.dropLowConfidence(data);
+      }
+      const country = this.inferCountry(data);
+      this.normalizePhoneFields(data, country);
+      Object.assign(data, ScraperAddress.parseAddress(data.address, country));
+
+      // Only store if we got at least a name
+      if (data.name) {
+        data.url = rawUrl; // Store the original full URL
+        Object.assign(data, this.parsePlaceUrl(rawUrl));
+        data.query = this.currentQuery;
+        data.runId = this.runId;
+        data.scrapedAt = new Date().toISOString();
+
+        // Indexed before the filter runs, so "skip known places" does not
+        // open a filtered-out place again next time
+        const known = this.trackPlace(data, rawUrl);
+        data.firstSeenAt = known.entry.firstSeenAt;
+        data.seenBefore = known.seenBefore;
+        data.changedFields = known.changedFields;
+        try {
+          await ScraperStorage.savePlaceIndexEntry(known.key, known.entry);
+        } catch (err) {
+          this.log(`Could not update place index: ${err.message}`);
+        }
+
+        // Places that fail the filter rules are counted, not kept
+        const verdict = ScraperFilters.evaluate(data, this.settings.filters);
+        if (!verdict.pass) {
+          await this.markSeen(uniqueUrl);
+          this.rejectedThisRun++;
+          this.log(`Filtered out: ${data.name} (${verdict.reasons.join(', ')})`);
+          this.sendCount();
+          return false;
+        }
+
+        // "Check for changes" keeps only places that are new or differ
+        if (this.settings.knownPlaces === 'changes' && known.seenBefore && known.changedFields.length === 0) {
+          await this.markSeen(uniqueUrl);
+          this.unchangedThisRun++;
+          this.log(`Unchanged since ${known.entry.firstSeenAt.slice(0, 10)}: ${data.name}`);
+          return false;
+        }
+
+        this.scrapedData.push(data);
+        this.scrapedUrls.add(uniqueUrl); // Mark this clean URL as done
+        this.addedThisRun++;
+        this.countStrategies(data);
+
+        try {
+          await ScraperStorage.saveRecord(uniqueUrl, data, this.scrapedUrls);
+        } catch (err) {
+          this.log(`Could not save record: ${err.message}`);
+        }
+        // The background forwards it if streaming to an endpoint is on
+        this.notify({ action: 'recordSaved', record: data });
+
+        if (this.settings.harvestReviews) {
+          this.sendProgress(`Reading reviews for ${data.name}…`);
+          try {
+            const reviews = await this.harvestReviews(this.settings.maxReviews);
+            await ScraperStorage.saveReviews(uniqueUrl, { placeUrl: uniqueUrl, name: data.name, reviews });
+            this.log(`Harvested ${reviews.length} reviews for ${data.name}`);
+          } catch (err) {
+            this.log(`Could not harvest reviews: ${err.message}`);
+          }
+        }
+
+        this.log(`Scraped: ${data.name} | Phone: ${data.phone || '—'} | Website: ${data.website || '—'}`);
+        this.sendCount();
+        return true;
+      }
+
+      return false;
+    }
+
+    // ── Auto-scroll the feed ──────────────────────────────────────
+
+    async scrollFeed(feed) {
+      feed.scrollTop = feed.scrollHeight;
+      await this.wait(this.pacer.scrollWait());
+    }
+
+    // ── Check for "end of results" indicator ──────────────────────
+
+    hasReachedEnd() {
+      // Google Maps shows a message or divider at the bottom when results are exhausted
+      return Array.from(document.querySelectorAll(this.selectors.endOfList))
+        .some(el => this.patterns.endOfList.test(el.textContent));
+    }
+
+    // ── Pacing & blocks ───────────────────────────────────────────
+
+    // Stops the run, keeping the checkpoint, when Maps shows a captcha or
+    // an unusual-traffic page; clicking on would only make it worse
+    checkBlocked() {
+      const reason = ScraperPacing.detectBlock(document, location.href);
+      if (!reason) return false;
+      this.blockedReason = reason;
+      this.isRunning = false;
+      this.log(`Paused: ${reason}`);
+      return true;
+    }
+
+    // ── Run limits ────────────────────────────────────────────────
+
+    // Why the run should end now, or '' to go on. 0 turns a limit off.
+    // Between cards scrollRounds is left out: the cards the last allowed
+    // scroll loaded are still scraped, and the limit stops the next scroll
+    runLimitReason(startedMs, scrollRounds) {
+      const { maxPlaces, maxMinutes, maxScrollRounds } = this.settings;
+      if (maxPlaces > 0 && this.addedThisRun >= maxPlaces) return `reached ${maxPlaces} places`;
+      if (maxMinutes > 0 && Date.now() - startedMs >= maxMinutes * 60000) return `ran for ${maxMinutes} min`;
+      if (maxScrollRounds > 0 && scrollRounds >= maxScrollRounds) return `scrolled ${maxScrollRounds} times`;
+      return '';
+    }
+
+    // ── Re-scroll the feed to where a saved run stopped ───────────
+
+    async restoreFeedPosition(feed, checkpoint) {
+      const target = checkpoint.lastProcessedIndex || 0;
+      let scrollFails = 0;
+
+      while (this.isRunning && this.getCards().length < target) {
+        if (this.hasReachedEnd() || scrollFails >= this.MAX_SCROLL_FAILS) break;
+
+        const beforeCount = this.getCards().length;
+        this.sendProgress(`Restoring position: ${beforeCount} of ${target} cards…`);
+        await this.scrollFeed(feed);
+        scrollFails = this.getCards().length > beforeCount ? 0 : scrollFails + 1;
+      }
+
+      // Places already saved are skipped by URL, so a short list is harmless
+      const restoredIndex = Math.min(target, this.getCards().length);
+      this.log(`Resuming from card ${restoredIndex + 1}`);
+      return restoredIndex;
+    }
+
+    // Called on page load: the popup reloads the saved search and flags
+    // the checkpoint when the results list was no longer on screen
+    async resumeIfRequested() {
+      const checkpoint = await ScraperStorage.getCheckpoint();
+      if (!checkpoint || !checkpoint.resumeRequested) return;
+
+      await this.saveCheckpoint(checkpoint);
+      const feed = await this.waitForFeed();
+      if (!feed) {
+        this.sendError('Saved search did not load. Open it on Google Maps and press Resume.');
+        return;
+      }
+      this.start({ resume: true });
+    }
+
+    // ── Main scraping loop ────────────────────────────────────────
+
+    async start(options = {}) {
+      if (this.isRunning) {
+        this.log('Already running');
+        return;
+      }
+
+      await this.loadSelectorProfile();
+      const feed = this.getFeedContainer();
+      if (!feed) {
+        this.sendError('No search results found. Please search on Google Maps first.');
+        return;
+      }
+
+      this.isRunning = true;
+      this.stoppedByUser = false;
+      await this.ready;
+      this.settings = await ScraperStorage.getSettings();
+      try {
+        this.placeIndex = await ScraperStorage.getPlaceIndex();
+      } catch (err) {
+        this.log(`Could not load place index: ${err.message}`);
+        this.placeIndex = {};
+      }
+      this.skippedThisRun = 0;
+      this.unchangedThisRun = 0;
+      this.rejectedThisRun = 0;
+      this.limitReason = '';
+      this.blockedReason = '';
+      this.pacer = ScraperPacing.createPacer({
+        profile: this.settings.pacing,
+        delayMinMs: this.settings.delayMinMs,
+        delayMaxMs: this.settings.delayMaxMs
+      });
+      const checkpoint = options.resume ? await ScraperStorage.getCheckpoint() : null;
+      const searchUrl = checkpoint ? checkpoint.searchUrl : location.href;
+      this.currentQuery = options.query || (checkpoint && checkpoint.query) ||
+                          this.getSearchQueryFromUrl(searchUrl);
+      // A resumed run goes on with the place count, time and scroll rounds
+      // the run it continues had used, so the run limits bound the whole run
+      this.addedThisRun = checkpoint ? checkpoint.added || 0 : 0;
+      // A resumed run keeps adding to the tally of the run it continues
+      this.strategyStats = checkpoint && this.runMeta && this.runMeta.strategyStats
+        ? this.runMeta.strategyStats
+        : {};
+      const now = new Date().toISOString();
+
+      this.log(checkpoint ? 'Scraping resumed' : 'Scraping started');
+      this.sendStarted();
+      await this.updateRunMeta({
+        status: 'running',
+        searchUrl,
+        locale: this.locale.code,
+        startedAt: checkpoint && this.runMeta ? this.runMeta.startedAt : now,
+        resumedAt: checkpoint ? now : null,
+        completedAt: null,
+        filters: ScraperFilters.isActive(this.settings.filters)
+          ? ScraperFilters.normalizeRules(this.settings.filters)
+          : null
+      });
+      await this.startRunRules(checkpoint);
+
+      let consecutiveScrollFails = 0;
+      let lastProcessedIndex = 0; // Optimization: Resume from last index
+      let scrollRounds = checkpoint ? checkpoint.scrollRounds || 0 : 0;
+      const startedMs = Date.now() - (checkpoint ? checkpoint.elapsedMs || 0 : 0);
+      let failed = false;
+
+      const saveProgress = () => this.saveCheckpoint({
+        searchUrl,
+        query: this.currentQuery,
+        lastProcessedIndex,
+        scrollTop: feed.scrollTop,
+        added: this.addedThisRun,
+        elapsedMs: Date.now() - startedMs,
+        scrollRounds
+      });
+
+      if (checkpoint) {
+        lastProcessedIndex = await this.restoreFeedPosition(feed, checkpoint);
+      }
+
+      try {
+        while (this.isRunning && !this.checkBlocked()) {
+          const cards = this.getCards();
+          let newDataThisRound = 0;
+
+          // Safety check: if list shrank (virtualization), reset index
+          if (cards.length < lastProcessedIndex) {
+            lastProcessedIndex = 0;
+          }
+
+          this.sendProgress(`Processing ${cards.length} visible cards…`);
+
+          // Start loop from lastProcessedIndex instead of 0
+          for (let i = lastProcessedIndex; i < cards.length; i++) {
+            if (!this.isRunning || this.checkBlocked()) break;
+
+            // Mark this index as processed for next time
+            lastProcessedIndex = i + 1;
+
+            const card = cards[i];
+            const uniqueUrl = this.getUniqueUrl(card.href);
+            
+            if (this.scrapedUrls.has(uniqueUrl)) continue;
+
+            // Known from an earlier run: not even opened
+            if (this.settings.knownPlaces === 'skip' && this.isKnownPlace(card.href)) {
+              this.scrapedUrls.add(uniqueUrl);
+              this.skippedThisRun++;
+              continue;
+            }
+
+            this.sendProgress(`Scraping card ${i + 1} of ${cards.length}…`);
+
+            try {
+              const scraped = await this.scrapeCard(card);
+              if (scraped) newDataThisRound++;
+            } catch (err) {
+              this.log(`Error scraping card: ${err.message}`);
+            }
+            // A card cut short by a block is read again on resume
+            if (this.blockedReason) lastProcessedIndex = i;
+
+            await saveProgress();
+            this.limitReason = this.runLimitReason(startedMs);
+            if (this.limitReason) break;
+            await this.wait(this.pacer.clickDelay());
+          }
+          if (!this.isRunning) break;
+
+          // Checked again here for the scroll-round limit, before scrolling
+          this.limitReason = this.runLimitReason(startedMs, scrollRounds);
+          if (this.limitReason) {
+            this.log(`Run limit: ${this.limitReason}, stopping`);
+            break;
+          }
+
+          // Check end-of-list
+          if (this.hasReachedEnd()) {
+            this.log('Reached end of results');
+            break;
+          }
+
+          // Scroll for more
+          this.sendProgress('Scrolling for more results…');
+          const beforeCount = this.getCards().length;
+          await this.scrollFeed(feed);
+          scrollRounds++;
+          const afterCount = this.getCards().length;
+          await saveProgress();
+
+          if (afterCount <= beforeCount && newDataThisRound === 0) {
+            consecutiveScrollFails++;
+            this.log(`No new cards after scroll (attempt ${consecutiveScrollFails}/${this.MAX_SCROLL_FAILS})`);
+            if (consecutiveScrollFails >= this.MAX_SCROLL_FAILS) {
+              this.log('Max scroll attempts reached, stopping');
+              break;
+            }
+          } else {
+            consecutiveScrollFails = 0;
+          }
+        }
+      } catch (err) {
+        failed = true;
+        this.log(`Fatal error: ${err.message}`);
+        this.sendError(`Error: ${err.message}`);
+      }
+
+      this.isRunning = false;
+      this.log(`Scraping complete. Total: ${this.scrapedData.length} places`);
+      if (this.skippedThisRun || this.unchangedThisRun) {
+        this.log(`Known places: ${this.skippedThisRun} skipped, ${this.unchangedThisRun} unchanged`);
+      }
+      if (this.rejectedThisRun) {
+        this.log(`Filtered out by rules: ${this.rejectedThisRun}`);
+      }
+      this.logStrategySummary();
+      // Keep the checkpoint only when there is something left to resume
+      if (!this.stoppedByUser && !failed && !this.limitReason && !this.blockedReason) {
+        await ScraperStorage.clearCheckpoint();
+      }
+      await this.updateRunMeta({
+        status: failed ? 'failed'
+          : this.blockedReason ? 'paused'
+          : this.stoppedByUser ? 'stopped'
+          : this.limitReason ? 'limited'
+          : 'complete',
+        limitReason: this.limitReason || null,
+        completedAt: new Date().toISOString(),
+        strategyStats: this.strategyStats,
+        knownSkipped: this.skippedThisRun,
+        unchanged: this.unchangedThisRun,
+        rejected: this.rejectedThisRun
+      });
+      if (this.runRules) {
+        this.runRules.rejected += this.rejectedThisRun;
+        await this.saveRunRules();
+      }
+      if (this.blockedReason) this.sendBlocked(this.blockedReason);
+      else this.sendComplete();
+    }
+
+    stop() {
+      this.isRunning = false;
+      this.stoppedByUser = true;
+      this.log('Scraping stopped by user');
+      this.sendProgress('Stopped by user');
+    }
+
+    async reset() {
+      this.scrapedData = [];
+      this.scrapedUrls = new Set();
+      this.runMeta = null;
+      await ScraperStorage.clearAll();
+      this.log('Data reset cleared');
+    }
+  }
+
+  root.GoogleMapsScraper = GoogleMapsScraper;
+  if (typeof module !== 'undefined' && module.exports) module.exports = GoogleMapsScraper;
+})(globalThis);
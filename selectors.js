@@ -0,0 +1,169 @@
+// selectors.js — Versioned selector profile read by the scraper's extractors
+//
+// Google rotates its obfuscated class names; keeping every selector and
+// label regex here lets a user patch them from the options page instead of
+// waiting for a release. A saved profile only needs the keys it changes:
+// anything missing falls back to the built-in profile below.
+
+(function (root) {
+  'use strict';
+
+  // Patterns are written as "/source/flags" strings so profiles stay plain JSON
+  const DEFAULT_PROFILE = {
+    version: 1,
+    name: 'Built-in',
+    selectors: {
+      // Results list
+      feed: 'div[role="feed"]',
+      cardLink: 'a[href*="/maps/place/"]',
+      cardContainer: '[data-result-index]',
+      cardPhoneLabel: '[aria-label*="Phone"]',
+      endOfList: 'p > span > span, div.m6QErb span',
+
+      // Detail panel
+      nameHeading: 'h1.fontHeadlineLarge, h1.DUwDvf, div[role="main"] h1',
+      adHeading: 'h1.kpih0e, h1[aria-label="Sponsored"]',
+      mainRegion: 'div[role="main"]',
+      infoArea: 'div[role="main"], .m6QErb[aria-label]',
+      detailActionButton: 'button[data-item-id]',
+      detailTabs: 'div[role="tablist"]',
+      hotelHeader: '.DUwDvf',
+      phoneButton: 'button[data-item-id*="phone"]',
+      phoneLabelButton: 'button[aria-label^="Phone"]',
+      websiteLink: 'a[data-item-id="authority"], a[data-item-id*="authority"]',
+      websiteButton: 'button[data-item-id="authority"], button[data-item-id*="authority"]',
+      addressButton: 'button[data-item-id="address"], button[data-item-id*="address"]',
+      ratingImage: 'div[role="img"][aria-label*="star"], span[role="img"][aria-label*="star"]',
+      ratingFallback: 'span[aria-hidden="true"]',
+      reviewsLabel: 'span[aria-label*="reviews"]',
+      categoryButton: 'button[jsaction*="category"]',
+      hotelStars: 'span[aria-label*="-star hotel"]',
+      hotelClass: 'span.mgr77e',
+      priceLabel: 'span[aria-label^="Price"]',
+      plusCodeButton: 'button[data-item-id="oloc"]',
+      hoursTableRow: 'table.eK4R0e tr, table.WgFkxc tr',
+      hoursToggle: '[aria-label*="open hours" i], div.t39EBf[aria-label]',
+
+      // Reviews tab
+      reviewsTab: 'div[role="tablist"] button[role="tab"], div[role="tablist"] button',
+      reviewItem: 'div.jftiEf[data-review-id], div[data-review-id][aria-label]',
+      reviewMoreButton: 'button.w8nwRe, button[aria-label="See more"], button[jsaction*="expandReview"]',
+      reviewAuthor: '.d4r55',
+      reviewRating: 'span[role="img"][aria-label*="star"]',
+      reviewDate: '.rsqaWe',
+      reviewText: '.wiI7pd',
+      reviewOwnerBlock: '.CDe7pd'
+    },
+    patterns: {
+      phoneLabel: '/^Phone:\\s*/i',
+      websiteLabel: '/^Website:\\s*/i',
+      addressLabel: '/^Address:\\s*/i',
+      plusCodeLabel: '/^Plus code:\\s*/i',
+      phoneNumber: '/[\\+\\(]?\\d[\\d\\s\\-\\(\\)]{6,}/',
+      ratingStars: '/([\\d.]+)\\s*star/i',
+      reviewCount: '/([\\d,]+)\\s*review/i',
+      reviewsTab: '/reviews/i',
+      categoryExclude: '/star|review|Open|Closed|·|^\\d/',
+      endOfList: '/you.ve reached the end/i',
+      open24: '/open 24 hours/i',
+      closed: '/^closed/i',
+      hideHours: '/\\.?\\s*hide open hours.*$/i',
+      timeRange: '/\\s*(?:–|—|-|\\bto\\b)\\s*/i'
+    },
+    // Headings Maps shows when no place is open
+    ignoredHeadings: ['Results', 'Google Maps']
+  };
+
+  function toRegExp(pattern) {
+    const match = /^\/(.*)\/([a-z]*)$/s.exec(pattern);
+    if (!match) throw new Error(`Pattern must look like /source/flags: ${pattern}`);
+    if (match[2].includes('g')) throw new Error(`Pattern must not use the g flag: ${pattern}`);
+    return new RegExp(match[1], match[2]);
+  }
+
+  // Built-in, then the page locale's translations (locales.js), then the
+  // saved profile, one key at a time
+  function mergeProfile(custom, locale) {
+    if (!custom && !locale) return DEFAULT_PROFILE;
+    const saved = custom || {};
+    const translated = locale || {};
+    return {
+      version: saved.version !== undefined ? saved.version : DEFAULT_PROFILE.version,
+      name: saved.name || (custom ? 'Custom' : DEFAULT_PROFILE.name),
+      selectors: { ...DEFAULT_PROFILE.selectors, ...(translated.selectors || {}), ...(saved.selectors || {}) },
+      patterns: { ...DEFAULT_PROFILE.patterns, ...(translated.patterns || {}), ...(saved.patterns || {}) },
+      ignoredHeadings: saved.ignoredHeadings ||
+        [...DEFAULT_PROFILE.ignoredHeadings, ...(translated.ignoredHeadings || [])]
+    };
+  }
+
+  // Only the entries that differ from the built-in profile, so a saved
+  // profile does not pin English patterns over a translated page
+  function diffProfile(profile) {
+    const changed = section => Object.fromEntries(Object.entries(profile[section] || {})
+      .filter(([key, value]) => DEFAULT_PROFILE[section][key] !== value));
+    const diff = {
+      version: profile.version,
+      name: profile.name,
+      selectors: changed('selectors'),
+      patterns: changed('patterns')
+    };
+    if (profile.ignoredHeadings &&
+        JSON.stringify(profile.ignoredHeadings) !== JSON.stringify(DEFAULT_PROFILE.ignoredHeadings)) {
+      diff.ignoredHeadings = profile.ignoredHeadings;
+    }
+    return diff;
+  }
+
+  // Throws with a readable message on the first bad entry. `doc` is used to
+  // check selector syntax and may be omitted where there is no DOM.
+  function validateProfile(profile, doc) {
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+      throw new Error('Profile must be a JSON object');
+    }
+    for (const [key, selector] of Object.entries(profile.selectors || {})) {
+      if (typeof selector !== 'string' || !selector.trim()) {
+        throw new Error(`Selector "${key}" must be a non-empty string`);
+      }
+      if (doc) {
+        try {
+          doc.querySelector(selector);
+        } catch (_) {
+          throw new Error(`Selector "${key}" is not valid CSS: ${selector}`);
+        }
+      }
+    }
+    for (const [key, pattern] of Object.entries(profile.patterns || {})) {
+      try {
+        toRegExp(pattern);
+      } catch (err) {
+        throw new Error(`Pattern "${key}": ${err.message}`);
+      }
+    }
+    if (profile.ignoredHeadings && !Array.isArray(profile.ignoredHeadings)) {
+      throw new Error('"ignoredHeadings" must be a list of strings');
+    }
+  }
+
+  // Effective profile with patterns turned into RegExp objects
+  function compileProfile(custom, locale) {
+    const merged = mergeProfile(custom, locale);
+    const patterns = {};
+    for (const [key, pattern] of Object.entries(merged.patterns)) {
+      patterns[key] = toRegExp(pattern);
+    }
+    return { ...merged, patterns };
+  }
+
+  const ScraperSelectors = {
+    DEFAULT_PROFILE,
+    toRegExp,
+    mergeProfile,
+    diffProfile,
+    validateProfile,
+    compileProfile
+  };
+
+  root.ScraperSelectors = ScraperSelectors;
+  if (typeof module !== 'undefined' && module.exports) module.exports = ScraperSelectors;
+})(globalThis);
@@ -0,0 +1,189 @@
+// sheets.js — Append/update rows in a Google Sheet through an Apps Script web app
+//
+// The extension cannot write to Sheets directly without OAuth, so the user
+// deploys the small script below as a web app on their spreadsheet and
+// pastes its URL. Any endpoint that speaks the same protocol works too:
+//
+//   POST { action: 'upsert', token, sheet, key, headers: [...], types: [...], rows: [[...]] }
+//   →    { ok: true, appended, updated }  or  { ok: false, error }
+//
+// Rows are matched on the key column (the place URL without its query
+// string, as the content script's getUniqueUrl stores it), so a place
+// sent twice updates its row instead of adding another.
+
+(function (root) {
+  'use strict';
+
+  const KEY_HEADER = 'Place Key';
+  const DEFAULT_SHEET = 'Places';
+  const DEFAULT_BATCH_SIZE = 100;
+
+  // Paste into Extensions → Apps Script of the target spreadsheet, set
+  // TOKEN, then Deploy → New deployment → Web app, access "Anyone"
+  const APPS_SCRIPT = `// Google Maps Scraper — upsert endpoint
+var TOKEN = ''; // same value as "Token" in the extension options
+
+function doPost(e) {
+  var lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    return reply(upsert(JSON.parse(e.postData.contents)));
+  } catch (err) {
+    return reply({ ok: false, error: String(err.message || err) });
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function reply(body) {
+  return ContentService.createTextOutput(JSON.stringify(body))
+    .setMimeType(ContentService.MimeType.JSON);
+}
+
+function upsert(req) {
+  if (TOKEN && req.token !== TOKEN) return { ok: false, error: 'Wrong token' };
+  var book = SpreadsheetApp.getActiveSpreadsheet();
+  var sheet = book.getSheetByName(req.sheet) || book.insertSheet(req.sheet);
+
+  // Keep the sheet's own column order; add columns it does not have yet
+  var width = sheet.getLastColumn();
+  var headers = width ? sheet.getRange(1, 1, 1, width).getValues()[0].map(String) : [];
+  req.headers.forEach(function (h) { if (headers.indexOf(h) === -1) headers.push(h); });
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+
+  var keyColumn = headers.indexOf(req.key) + 1;
+  var last = sheet.getLastRow();
+  var keys = last > 1
+    ? sheet.getRange(2, keyColumn, last - 1, 1).getValues().map(function (r) { return String(r[0]); })
+    : [];
+
+  var appended = 0, updated = 0;
+  req.rows.forEach(function (values) {
+    var key = String(values[req.headers.indexOf(req.key)]);
+    var index = keys.indexOf(key);
+    if (index === -1) { keys.push(key); index = keys.length - 1; appended++; } else { updated++; }
+
+    var range = sheet.getRange(index + 2, 1, 1, headers.length);
+    var row = range.getValues()[0];
+    var formats = range.getNumberFormats()[0];
+    req.headers.forEach(function (h, i) {
+      var column = headers.indexOf(h);
+      row[column] = values[i];
+      if (req.types[i] !== 'number') formats[column] = '@'; // keep phones' leading zeros
+    });
+    range.setNumberFormats([formats]).setValues([row]);
+  });
+  return { ok: true, appended: appended, updated: updated };
+}
+`;
+
+  // Same key the content script stores the record under
+  function placeKeyOf(record) {
+    return String(record.url || '').split('?')[0];
+  }
+
+  function validateConfig(config) {
+    if (!config || !config.url) throw new Error('Set the Apps Script web-app URL first');
+    let url;
+    try {
+      url = new URL(config.url);
+    } catch (_) {
+      throw new Error(`Not a valid URL: ${config.url}`);
+    }
+    if (!/^https?:$/.test(url.protocol)) throw new Error('The web-app URL must be an http(s) URL');
+    return true;
+  }
+
+  // Apps Script answers from script.googleusercontent.com after a redirect,
+  // so that origin needs access as well
+  function accessOrigins(url) {
+    const { origin, hostname } = new URL(url);
+    const origins = [`${origin}/*`];
+    if (hostname === 'script.google.com') origins.push('https://script.googleusercontent.com/*');
+    return origins;
+  }
+
+  // Header row and values for the chosen columns, key column first
+  function buildRows(records, columns) {
+    const headers = [KEY_HEADER, ...columns.map(col => col.header)];
+    const types = ['text', ...columns.map(col => (col.type === 'number' ? 'number' : 'text'))];
+    const rows = records.map(record => [placeKeyOf(record), ...columns.map(col => {
+      const value = col.value(record);
+      if (value === undefined || value === null) return '';
+      const number = col.type === 'number' && value !== '' ? Number(value) : NaN;
+      return Number.isFinite(number) ? number : value;
+    })]);
+    return { headers, types, rows };
+  }
+
+  // The reply must be the script's JSON; a login page means the web app
+  // is not deployed for "Anyone"
+  function parseReply(body) {
+    let reply;
+    try {
+      reply = JSON.parse(body);
+    } catch (_) {
+      return { ok: false, error: 'The web app did not answer with JSON — is it deployed with access "Anyone"?' };
+    }
+    if (!reply || reply.ok !== true) return { ok: false, error: (reply && reply.error) || 'Rejected by the web app' };
+    return { ok: true, appended: reply.appended || 0, updated: reply.updated || 0 };
+  }
+
+  // config: { url, sheetName, token, batchSize }
+  // overrides: { columns, onBatch(entry), shouldStop, fetchImpl, sleep, log, retries, … }
+  async function upsertRecords(records, config, overrides = {}) {
+    validateConfig(config);
+    const { onBatch = () => {}, columns = root.ScraperExporters.COLUMNS, ...rest } = overrides;
+    const options = root.ScraperWebhook.resolveOptions(rest);
+    // text/plain keeps it a simple request; Apps Script does not answer CORS preflights
+    const target = { url: config.url, contentType: 'text/plain;charset=utf-8' };
+    const size = Math.max(1, parseInt(config.batchSize, 10) || DEFAULT_BATCH_SIZE);
+    const batches = root.ScraperWebhook.chunk(records, size);
+    const summary = { sent: 0, failed: 0, appended: 0, updated: 0, batches: batches.length };
+
+    for (let i = 0; i < batches.length && !options.shouldStop(); i++) {
+      const payload = {
+        action: 'upsert',
+        token: config.token || '',
+        sheet: config.sheetName || DEFAULT_SHEET,
+        key: KEY_HEADER,
+        ...buildRows(batches[i], columns)
+      };
+      const { body, ...sent } = await root.ScraperWebhook.sendWithRetry(target, payload, options);
+      const result = sent.ok ? { ...sent, ...parseReply(body) } : sent;
+
+      if (result.ok) {
+        summary.sent += batches[i].length;
+        summary.appended += result.appended;
+        summary.updated += result.updated;
+      } else {
+        summary.failed += batches[i].length;
+      }
+
+      await onBatch({
+        at: new Date().toISOString(),
+        url: config.url,
+        event: 'sheets',
+        batch: i + 1,
+        of: batches.length,
+        count: batches[i].length,
+        ...result
+      });
+    }
+    return summary;
+  }
+
+  const ScraperSheets = {
+    KEY_HEADER,
+    APPS_SCRIPT,
+    placeKeyOf,
+    validateConfig,
+    accessOrigins,
+    buildRows,
+    upsertRecords
+  };
+
+  root.ScraperSheets = ScraperSheets;
+  if (typeof module !== 'undefined' && module.exports) module.exports = ScraperSheets;
+})(globalThis);
@@ -0,0 +1,453 @@
+// storage.js — Persistent storage layer shared by the content script and popup
+
+(function (root) {
+  'use strict';
+
+  // Each scraped place lives under its own key so a new record is a single
+  // small write instead of rewriting the whole result set.
+  const PLACE_PREFIX = 'place:';
+  const REVIEWS_PREFIX = 'reviews:';
+  // Saved copies of earlier result sets, for comparing runs
+  const SNAPSHOT_PREFIX = 'snapshot:';
+  const KEY_SEEN_URLS = 'seenUrls';
+  const KEY_RUN_META = 'runMeta';
+  const KEY_CHECKPOINT = 'checkpoint';
+  const KEY_BATCH = 'batch';
+  const KEY_LIVE_STATUS = 'liveStatus';
+  const KEY_SETTINGS = 'settings';
+  const KEY_SELECTOR_PROFILE = 'selectorProfile';
+  const KEY_EXPORT_PRESETS = 'exportPresets';
+  // Every place ever scraped, kept across resets. One key per place, like
+  // records, so remembering a place is one small write that cannot clobber
+  // what another tab remembered meanwhile
+  const KNOWN_PREFIX = 'known:';
+  const KEY_WEBHOOK = 'webhook';
+  const KEY_SHEETS = 'sheetsTarget';
+  const KEY_DELIVERY_LOG = 'deliveryLog';
+  // Filter rules a run applied, one key per run:
+  // { runId, query, startedAt, rules, rejected }. Records carry the runId
+  const RUN_RULES_PREFIX = 'rules:';
+  // Recurring runs, see ScraperSchedule
+  const KEY_SCHEDULES = 'schedules';
+  const DELIVERY_LOG_LIMIT = 200;
+
+  const DEFAULT_WEBHOOK = {
+    url: '',
+    headerName: 'Authorization',
+    headerValue: '',
+    batchSize: 50,
+    stream: false           // also POST each record as soon as it is scraped
+  };
+
+  // Apps Script web app (or compatible endpoint) that upserts sheet rows
+  const DEFAULT_SHEETS = {
+    url: '',
+    sheetName: 'Places',
+    token: '',
+    batchSize: 100
+  };
+
+  const DEFAULT_SETTINGS = {
+    harvestReviews: false,
+    maxReviews: 20,
+    dropLowConfidence: false,
+    invalidPhones: 'flag',  // 'flag' keeps the number with phoneValid false; 'drop' blanks it
+    exportPreset: '',       // name of the export preset in use; '' exports every column
+    knownPlaces: 'rescrape', // places seen in earlier runs: 'rescrape', 'skip' or 'changes'
+    filters: null,          // lead filter rules (filters.js); null keeps every place
+    // Run limits; 0 means no limit
+    maxPlaces: 0,           // places added in one run
+    maxMinutes: 0,          // minutes one run may take
+    maxScrollRounds: 0,     // times the results list is scrolled for more
+    // Pacing (pacing.js): speed profile and optional bounds for the pause
+    // between places; 0 keeps the profile's
+    pacing: 'balanced',     // 'safe', 'balanced' or 'fast'
+    delayMinMs: 0,
+    delayMaxMs: 0
+  };
+
+  function area() {
+    return chrome.storage.local;
+  }
+
+  // Live job status only needs to outlive a service-worker restart,
+  // not a browser restart
+  function sessionArea() {
+    return chrome.storage.session;
+  }
+
+  // Serialize writes coming from one context so they land in order
+  let writeQueue = Promise.resolve();
+
+  function enqueue(task) {
+    writeQueue = writeQueue.then(task, task);
+    return writeQueue;
+  }
+
+  function placeKey(uniqueUrl) {
+    return PLACE_PREFIX + uniqueUrl;
+  }
+
+  function isPlaceKey(key) {
+    return key.startsWith(PLACE_PREFIX);
+  }
+
+  function isReviewsKey(key) {
+    return key.startsWith(REVIEWS_PREFIX);
+  }
+
+  function sortRecords(records) {
+    return records.sort((a, b) => String(a.scrapedAt || '').localeCompare(String(b.scrapedAt || '')));
+  }
+
+  // ── Reads ─────────────────────────────────────────────────────
+
+  async function loadAll() {
+    const items = await area().get(null);
+    const records = [];
+    for (const key of Object.keys(items)) {
+      if (isPlaceKey(key)) records.push(items[key]);
+    }
+    return {
+      records: sortRecords(records),
+      seenUrls: items[KEY_SEEN_URLS] || [],
+      runMeta: items[KEY_RUN_META] || null
+    };
+  }
+
+  async function getRecords() {
+    const { records } = await loadAll();
+    return records;
+  }
+
+  async function getCount() {
+    const items = await area().get(null);
+    return Object.keys(items).filter(isPlaceKey).length;
+  }
+
+  async function getRunMeta() {
+    const items = await area().get(KEY_RUN_META);
+    return items[KEY_RUN_META] || null;
+  }
+
+  async function getCheckpoint() {
+    const items = await area().get(KEY_CHECKPOINT);
+    return items[KEY_CHECKPOINT] || null;
+  }
+
+  async function getBatch() {
+    const items = await area().get(KEY_BATCH);
+    return items[KEY_BATCH] || null;
+  }
+
+  async function getLiveStatus() {
+    const items = await sessionArea().get(KEY_LIVE_STATUS);
+    return items[KEY_LIVE_STATUS] || null;
+  }
+
+  async function getSettings() {
+    const items = await area().get(KEY_SETTINGS);
+    return { ...DEFAULT_SETTINGS, ...(items[KEY_SETTINGS] || {}) };
+  }
+
+  // Only the user's overrides; null means the built-in profile
+  async function getSelectorProfile() {
+    const items = await area().get(KEY_SELECTOR_PROFILE);
+    return items[KEY_SELECTOR_PROFILE] || null;
+  }
+
+  // { [indexKey]: entry }
+  async function getPlaceIndex() {
+    const items = await area().get(null);
+    const index = {};
+    for (const key of Object.keys(items)) {
+      if (key.startsWith(KNOWN_PREFIX)) index[key.slice(KNOWN_PREFIX.length)] = items[key];
+    }
+    return index;
+  }
+
+  // { [runId]: { runId, query, startedAt, rules, rejected } }
+  async function getRunRules() {
+    const items = await area().get(null);
+    const runs = {};
+    for (const key of Object.keys(items)) {
+      if (key.startsWith(RUN_RULES_PREFIX)) runs[key.slice(RUN_RULES_PREFIX.length)] = items[key];
+    }
+    return runs;
+  }
+
+  // Newest first; each is { id, name, savedAt, records }
+  async function getSnapshots() {
+    const items = await area().get(null);
+    return Object.keys(items)
+      .filter(key => key.startsWith(SNAPSHOT_PREFIX))
+      .map(key => items[key])
+      .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+  }
+
+  // Column presets for exports, see ScraperExporters.validateSchema
+  async function getExportPresets() {
+    const items = await area().get(KEY_EXPORT_PRESETS);
+    return items[KEY_EXPORT_PRESETS] || [];
+  }
+
+  // The preset selected in settings, or null for the built-in columns
+  async function getActiveExportPreset() {
+    const [settings, presets] = await Promise.all([getSettings(), getExportPresets()]);
+    return presets.find(p => p.name === settings.exportPreset) || null;
+  }
+
+  async function getWebhookConfig() {
+    const items = await area().get(KEY_WEBHOOK);
+    return { ...DEFAULT_WEBHOOK, ...(items[KEY_WEBHOOK] || {}) };
+  }
+
+  async function getSheetsConfig() {
+    const items = await area().get(KEY_SHEETS);
+    return { ...DEFAULT_SHEETS, ...(items[KEY_SHEETS] || {}) };
+  }
+
+  // Newest entry first
+  async function getDeliveryLog() {
+    const items = await area().get(KEY_DELIVERY_LOG);
+    return items[KEY_DELIVERY_LOG] || [];
+  }
+
+  async function getSchedules() {
+    const items = await area().get(KEY_SCHEDULES);
+    return items[KEY_SCHEDULES] || [];
+  }
+
+  // Review sets are stored per place: { placeUrl, name, reviews: [...] }
+  async function getAllReviews() {
+    const items = await area().get(null);
+    return Object.keys(items).filter(isReviewsKey).map(key => items[key]);
+  }
+
+  // ── Writes ────────────────────────────────────────────────────
+
+  function saveRecord(uniqueUrl, record, seenUrls) {
+    return enqueue(() => area().set({
+      [placeKey(uniqueUrl)]: record,
+      [KEY_SEEN_URLS]: Array.from(seenUrls)
+    }));
+  }
+
+  // Places opened but not kept (filtered out, unchanged) still count as
+  // done, so a resumed run does not open them again
+  function saveSeenUrls(seenUrls) {
+    return enqueue(() => area().set({ [KEY_SEEN_URLS]: Array.from(seenUrls) }));
+  }
+
+  // Merge fields into a stored record, e.g. after enrichment. The queue only
+  // orders writes within one context, so only the background worker calls
+  // this; other pages send it an 'updateRecord' message
+  function updateRecord(uniqueUrl, changes) {
+    return enqueue(async () => {
+      const key = placeKey(uniqueUrl);
+      const items = await area().get(key);
+      if (!items[key]) return;
+      await area().set({ [key]: { ...items[key], ...changes } });
+    });
+  }
+
+  // Removes places and their reviews. Their URLs stay in seenUrls so a
+  // resumed run does not scrape them back in
+  function deleteRecords(uniqueUrls) {
+    const keys = uniqueUrls.flatMap(url => [placeKey(url), REVIEWS_PREFIX + url]);
+    return enqueue(() => area().remove(keys));
+  }
+
+  function savePlaceIndexEntry(key, entry) {
+    return enqueue(() => area().set({ [KNOWN_PREFIX + key]: entry }));
+  }
+
+  function saveSnapshot(name, records) {
+    const savedAt = new Date().toISOString();
+    const snapshot = { id: savedAt, name, savedAt, records };
+    return enqueue(() => area().set({ [SNAPSHOT_PREFIX + snapshot.id]: snapshot })).then(() => snapshot);
+  }
+
+  function deleteSnapshot(id) {
+    return enqueue(() => area().remove(SNAPSHOT_PREFIX + id));
+  }
+
+  function clearPlaceIndex() {
+    return enqueue(async () => {
+      const items = await area().get(null);
+      const keys = Object.keys(items).filter(key => key.startsWith(KNOWN_PREFIX));
+      await area().remove(keys);
+    });
+  }
+
+  function saveReviews(uniqueUrl, reviewSet) {
+    return enqueue(() => area().set({ [REVIEWS_PREFIX + uniqueUrl]: reviewSet }));
+  }
+
+  // Called from the background worker only; pages send it 'saveSettings'
+  function saveSettings(changes) {
+    return enqueue(async () => {
+      const current = await getSettings();
+      await area().set({ [KEY_SETTINGS]: { ...current, ...changes } });
+    });
+  }
+
+  // Replaces the schedule with the same id
+  function saveSchedule(schedule) {
+    return enqueue(async () => {
+      const schedules = (await getSchedules()).filter(s => s.id !== schedule.id);
+      await area().set({ [KEY_SCHEDULES]: [...schedules, schedule] });
+    });
+  }
+
+  // Merge fields into a saved schedule, e.g. its last result
+  function updateSchedule(id, changes) {
+    return enqueue(async () => {
+      const schedules = (await getSchedules()).map(s => (s.id === id ? { ...s, ...changes } : s));
+      await area().set({ [KEY_SCHEDULES]: schedules });
+    });
+  }
+
+  function deleteSchedule(id) {
+    return enqueue(async () => {
+      const schedules = (await getSchedules()).filter(s => s.id !== id);
+      await area().set({ [KEY_SCHEDULES]: schedules });
+    });
+  }
+
+  function saveSelectorProfile(profile) {
+    return enqueue(() => area().set({ [KEY_SELECTOR_PROFILE]: profile }));
+  }
+
+  function clearSelectorProfile() {
+    return enqueue(() => area().remove(KEY_SELECTOR_PROFILE));
+  }
+
+  // Replaces the preset with the same name
+  function saveExportPreset(preset) {
+    return enqueue(async () => {
+      const presets = (await getExportPresets()).filter(p => p.name !== preset.name);
+      await area().set({ [KEY_EXPORT_PRESETS]: [...presets, preset] });
+    });
+  }
+
+  function deleteExportPreset(name) {
+    return enqueue(async () => {
+      const presets = (await getExportPresets()).filter(p => p.name !== name);
+      await area().set({ [KEY_EXPORT_PRESETS]: presets });
+    });
+  }
+
+  function saveWebhookConfig(config) {
+    return enqueue(() => area().set({ [KEY_WEBHOOK]: { ...DEFAULT_WEBHOOK, ...config } }));
+  }
+
+  function saveSheetsConfig(config) {
+    return enqueue(() => area().set({ [KEY_SHEETS]: { ...DEFAULT_SHEETS, ...config } }));
+  }
+
+  function appendDeliveryLog(entry) {
+    return enqueue(async () => {
+      const log = await getDeliveryLog();
+      await area().set({ [KEY_DELIVERY_LOG]: [entry, ...log].slice(0, DELIVERY_LOG_LIMIT) });
+    });
+  }
+
+  function clearDeliveryLog() {
+    return enqueue(() => area().remove(KEY_DELIVERY_LOG));
+  }
+
+  function saveRunMeta(meta) {
+    return enqueue(() => area().set({ [KEY_RUN_META]: meta }));
+  }
+
+  function saveRunRules(entry) {
+    return enqueue(() => area().set({ [RUN_RULES_PREFIX + entry.runId]: entry }));
+  }
+
+  function saveCheckpoint(checkpoint) {
+    return enqueue(() => area().set({ [KEY_CHECKPOINT]: checkpoint }));
+  }
+
+  function clearCheckpoint() {
+    return enqueue(() => area().remove(KEY_CHECKPOINT));
+  }
+
+  function saveBatch(batch) {
+    return enqueue(() => area().set({ [KEY_BATCH]: batch }));
+  }
+
+  function saveLiveStatus(status) {
+    return sessionArea().set({ [KEY_LIVE_STATUS]: status });
+  }
+
+  // The place index survives: it is what lets the next run skip known places
+  function clearAll() {
+    return enqueue(async () => {
+      const items = await area().get(null);
+      const keys = Object.keys(items)
+        .filter(key => isPlaceKey(key) || isReviewsKey(key) || key.startsWith(RUN_RULES_PREFIX));
+      keys.push(KEY_SEEN_URLS, KEY_RUN_META, KEY_CHECKPOINT);
+      await area().remove(keys);
+    });
+  }
+
+  const ScraperStorage = {
+    PLACE_PREFIX,
+    DEFAULT_SETTINGS,
+    DEFAULT_WEBHOOK,
+    DEFAULT_SHEETS,
+    placeKey,
+    isPlaceKey,
+    loadAll,
+    getRecords,
+    getCount,
+    getRunMeta,
+    getCheckpoint,
+    getBatch,
+    getLiveStatus,
+    getSettings,
+    getAllReviews,
+    getSelectorProfile,
+    getPlaceIndex,
+    getRunRules,
+    getSnapshots,
+    getExportPresets,
+    getActiveExportPreset,
+    getWebhookConfig,
+    getSheetsConfig,
+    getDeliveryLog,
+    getSchedules,
+    saveRecord,
+    saveSeenUrls,
+    updateRecord,
+    deleteRecords,
+    savePlaceIndexEntry,
+    clearPlaceIndex,
+    saveSnapshot,
+    deleteSnapshot,
+    saveReviews,
+    saveSettings,
+    saveSelectorProfile,
+    clearSelectorProfile,
+    saveExportPreset,
+    deleteExportPreset,
+    saveWebhookConfig,
+    saveSheetsConfig,
+    appendDeliveryLog,
+    clearDeliveryLog,
+    saveSchedule,
+    updateSchedule,
+    deleteSchedule,
+    saveRunMeta,
+    saveRunRules,
+    saveCheckpoint,
+    clearCheckpoint,
+    saveBatch,
+    saveLiveStatus,
+    clearAll
+  };
+
+  root.ScraperStorage = ScraperStorage;
+  if (typeof module !== 'undefined' && module.exports) module.exports = ScraperStorage;
+})(globalThis);
@@ -0,0 +1,120 @@
+// table.js — Rows for the results page: display, search, sort and inline edits
+//
+// Edits are turned into a changes object for ScraperStorage.updateRecord, so
+// exports, deliveries and comparisons all see the corrected record.
+
+(function (root) {
+  'use strict';
+
+  // Columns shown on the results page. 'list' fields are arrays edited as
+  // "a; b"; 'number' fields stay strings, as the scraper stores them
+  const FIELDS = [
+    { key: 'name', header: 'Name', type: 'text', editable: true },
+    { key: 'category', header: 'Category', type: 'text', editable: true },
+    { key: 'phone', header: 'Phone', type: 'text', editable: true },
+    { key: 'website', header: 'Website', type: 'link', editable: true },
+    { key: 'emails', header: 'Emails', type: 'list', editable: true },
+    { key: 'address', header: 'Address', type: 'text', editable: true },
+    { key: 'city', header: 'City', type: 'text', editable: true },
+    { key: 'postalCode', header: 'Postal Code', type: 'text', editable: true },
+    { key: 'rating', header: 'Rating', type: 'number', editable: true },
+    { key: 'reviews', header: 'Reviews', type: 'number', editable: true },
+    { key: 'priceLevel', header: 'Price Level', type: 'text', editable: true },
+    { key: 'query', header: 'Query', type: 'text', editable: false },
+    { key: 'scrapedAt', header: 'Scraped At', type: 'text', editable: false }
+  ];
+
+  const FIELD_BY_KEY = new Map(FIELDS.map(field => [field.key, field]));
+
+  function displayValue(record, key) {
+    const value = record[key];
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) return value.join('; ');
+    return String(value);
+  }
+
+  function isEmpty(record, key) {
+    return displayValue(record, key).trim() === '';
+  }
+
+  // { name: 0, website: 12, … } — how many records lack each field
+  function emptyCounts(records) {
+    const counts = {};
+    for (const field of FIELDS) counts[field.key] = records.filter(r => isEmpty(r, field.key)).length;
+    return counts;
+  }
+
+  // Every word must appear in some shown field, case-insensitively
+  function searchRecords(records, query) {
+    const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (!words.length) return records.slice();
+    return records.filter(record => {
+      const text = FIELDS.map(field => displayValue(record, field.key)).join('\n').toLowerCase();
+      return words.every(word => text.includes(word));
+    });
+  }
+
+  function sortValue(record, field) {
+    const text = displayValue(record, field.key).trim();
+    if (field.type !== 'number') return text.toLowerCase();
+    const number = parseFloat(text.replace(/,/g, ''));
+    return Number.isFinite(number) ? number : null;
+  }
+
+  // Empty cells sort last in either direction
+  function sortRecords(records, key, direction = 'asc') {
+    const field = FIELD_BY_KEY.get(key);
+    if (!field) return records.slice();
+    const sign = direction === 'desc' ? -1 : 1;
+    return records.slice().sort((a, b) => {
+      const x = sortValue(a, field);
+      const y = sortValue(b, field);
+      const xEmpty = x === null || x === '';
+      const yEmpty = y === null || y === '';
+      if (xEmpty || yEmpty) return xEmpty - yEmpty;
+      if (typeof x === 'number') return sign * (x - y);
+      return sign * x.localeCompare(y);
+    });
+  }
+
+  // Changes for updateRecord after `key` was edited to `text`. Phone and
+  // address edits also refresh the fields the scraper derived from them
+  function editChanges(record, key, text) {
+    const field = FIELD_BY_KEY.get(key);
+    if (!field || !field.editable) throw new Error(`${key} cannot be edited`);
+    const value = String(text).trim();
+
+    if (field.type === 'list') {
+      return { [key]: value.split(/[;,\n]/).map(item => item.trim()).filter(Boolean) };
+    }
+    if (field.type === 'number' && value !== '' && !Number.isFinite(Number(value.replace(/,/g, '')))) {
+      throw new Error(`${field.header} must be a number`);
+    }
+
+    const changes = { [key]: value };
+    if (key === 'phone') {
+      const parsed = value ? root.ScraperPhone.normalizePhone(value, record.country) : null;
+      changes.phoneE164 = parsed ? parsed.e164 : '';
+      changes.phoneNational = parsed ? parsed.national : '';
+      changes.phoneValid = parsed ? parsed.valid : null;
+    }
+    if (key === 'address') {
+      const country = root.ScraperPhone.inferCountry(value, record.country);
+      Object.assign(changes, root.ScraperAddress.parseAddress(value, country));
+    }
+    return changes;
+  }
+
+  const ScraperTable = {
+    FIELDS,
+    displayValue,
+    isEmpty,
+    emptyCounts,
+    searchRecords,
+    sortRecords,
+    editChanges
+  };
+
+  root.ScraperTable = ScraperTable;
+  if (typeof module !== 'undefined' && module.exports) module.exports = ScraperTable;
+})(globalThis);
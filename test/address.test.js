@@ -0,0 +1,47 @@
+// address.test.js — Splitting Indian, US, UK, Australian and EU addresses
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('../phone');
+const ScraperAddress = require('../address');
+
+const CASES = [
+  ['Chowk Passian, Shastri Market, Amritsar, Punjab 143006, India', 'IN',
+    { street: 'Chowk Passian, Shastri Market', city: 'Amritsar', region: 'Punjab', postalCode: '143006', country: 'IN' }],
+  ['SCO 12, Sector 17, Chandigarh, 160017', 'IN',
+    { street: 'SCO 12, Sector 17', city: 'Chandigarh', region: '', postalCode: '160017', country: 'IN' }],
+  ['Lawrence Rd, Amritsar, Punjab', 'IN',
+    { street: 'Lawrence Rd', city: 'Amritsar', region: 'Punjab', postalCode: '', country: 'IN' }],
+  ['1 Market St, San Francisco, CA 94105, United States', 'US',
+    { street: '1 Market St', city: 'San Francisco', region: 'CA', postalCode: '94105', country: 'US' }],
+  ['290 Bremner Blvd, Toronto, ON M5V 3L9, Canada', 'CA',
+    { street: '290 Bremner Blvd', city: 'Toronto', region: 'ON', postalCode: 'M5V 3L9', country: 'CA' }],
+  ['10 Downing St, London SW1A 2AA, UK', 'GB',
+    { street: '10 Downing St', city: 'London', region: '', postalCode: 'SW1A 2AA', country: 'GB' }],
+  ['Bennelong Point, Sydney NSW 2000, Australia', 'AU',
+    { street: 'Bennelong Point', city: 'Sydney', region: 'NSW', postalCode: '2000', country: 'AU' }],
+  ['Schönhauser Allee 12, 10119 Berlin', 'DE',
+    { street: 'Schönhauser Allee 12', city: 'Berlin', region: '', postalCode: '10119', country: 'DE' }],
+  ['Calle de Atocha 45, 28012 Madrid, España', 'ES',
+    { street: 'Calle de Atocha 45', city: 'Madrid', region: '', postalCode: '28012', country: 'ES' }],
+  ['Piazza del Colosseo 1, 00184 Roma RM, Italia', 'IT',
+    { street: 'Piazza del Colosseo 1', city: 'Roma', region: 'RM', postalCode: '00184', country: 'IT' }],
+  // Countries phone.js does not know keep the name Maps wrote
+  ['Damrak 1, 1012 LG Amsterdam, Netherlands', '',
+    { street: 'Damrak 1', city: 'Amsterdam', region: '', postalCode: '1012 LG', country: 'Netherlands' }],
+  ['Rua Augusta 24, 1100-053 Lisboa, Portugal', '',
+    { street: 'Rua Augusta 24', city: 'Lisboa', region: '', postalCode: '1100-053', country: 'Portugal' }],
+  ['Bennelong Point, Sydney NSW 2000, Australia', '',
+    { street: 'Bennelong Point', city: 'Sydney', region: 'NSW', postalCode: '2000', country: 'AU' }]
+];
+
+for (const [address, country, expected] of CASES) {
+  test(`parseAddress: ${address}`, () => {
+    assert.deepEqual(ScraperAddress.parseAddress(address, country), expected);
+  });
+}
+
+test('parseAddress leaves everything blank for an empty address', () => {
+  assert.deepEqual(ScraperAddress.parseAddress('', 'IN'),
+    { street: '', city: '', region: '', postalCode: '', country: 'IN' });
+});
@@ -0,0 +1,67 @@
+// diff.test.js — Added, removed and changed places between two runs
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('../exporters');
+const ScraperDiff = require('../diff');
+
+const url = slug => `https://www.google.com/maps/place/${slug}/data=!4m2`;
+
+const MAY = [
+  { name: 'Kesar Da Dhaba', url: `${url('Kesar')}?authuser=0`, phone: '098140 22001', website: '',
+    rating: '4.2', reviews: '18,902', address: 'Chowk Passian, Amritsar' },
+  { name: 'Bharawan Da Dhaba', url: url('Bharawan'), phone: '0183 253 1952', website: 'https://bharawan.in/',
+    rating: '4.1', reviews: '9012' },
+  { name: 'Closed Sweets', url: url('Closed'), rating: '3.9', reviews: '40' }
+];
+
+const JUNE = [
+  // Same place under a different query string; rating unchanged though written differently
+  { name: 'Kesar Da Dhaba', url: `${url('Kesar')}?hl=en`, phone: '098140 22001', website: 'http://kesardadhaba.com',
+    rating: 4.2, reviews: '19011', address: 'Chowk  Passian, Amritsar' },
+  { name: 'Bharawan Da Dhaba', url: url('Bharawan'), phone: '0183 253 1952', website: 'https://bharawan.in',
+    rating: '4.1', reviews: '9,012' },
+  { name: 'Giani Tea Stall', url: url('Giani'), rating: '4.6', reviews: '2100' }
+];
+
+test('diffRuns reports added, removed and per-field changes', () => {
+  const report = ScraperDiff.diffRuns(MAY, JUNE);
+  assert.deepEqual(report.added.map(r => r.name), ['Giani Tea Stall']);
+  assert.deepEqual(report.removed.map(r => r.name), ['Closed Sweets']);
+  assert.equal(report.unchanged, 1);
+  assert.deepEqual(report.changed, [{
+    key: url('Kesar'),
+    name: 'Kesar Da Dhaba',
+    url: `${url('Kesar')}?hl=en`,
+    changes: [
+      { field: 'website', before: '', after: 'http://kesardadhaba.com' },
+      { field: 'reviews', before: '18,902', after: '19011' }
+    ]
+  }]);
+});
+
+test('diff exports as CSV rows and JSON', () => {
+  const report = ScraperDiff.diffRuns(MAY, JUNE);
+  const csv = ScraperDiff.buildDiffExport('csv', report);
+  assert.equal(csv.filename, 'google-maps-diff.csv');
+  assert.deepEqual(csv.content.replace(/^﻿/, '').split('\n'), [
+    '"Change","Name","Place URL","Field","Before","After"',
+    `"added","Giani Tea Stall","${url('Giani')}","","",""`,
+    `"removed","Closed Sweets","${url('Closed')}","","",""`,
+    `"changed","Kesar Da Dhaba","${url('Kesar')}","website","","http://kesardadhaba.com"`,
+    `"changed","Kesar Da Dhaba","${url('Kesar')}","reviews","18,902","19011"`
+  ]);
+  assert.deepEqual(JSON.parse(ScraperDiff.buildDiffExport('json', report).content), JSON.parse(JSON.stringify(report)));
+});
+
+test('parseRunFile reads JSON and GeoJSON exports and rejects preset exports', () => {
+  assert.equal(ScraperDiff.parseRunFile(JSON.stringify(MAY)).length, 3);
+  const geojson = {
+    type: 'FeatureCollection',
+    features: MAY.map(properties => ({ type: 'Feature', geometry: null, properties }))
+  };
+  assert.deepEqual(ScraperDiff.parseRunFile(JSON.stringify(geojson)), MAY);
+  assert.throws(() => ScraperDiff.parseRunFile('[{"Company":"Kesar"}]'), /without a column preset/);
+  assert.throws(() => ScraperDiff.parseRunFile('{"name":"x"}'), /list of places/);
+  assert.throws(() => ScraperDiff.parseRunFile('not json'), /Not a JSON file/);
+});
@@ -0,0 +1,141 @@
+// enrich.test.js — Website enrichment against fixture sites served on localhost
+//
+// Each directory in test/fixtures/sites/ is one website. The server also
+// answers /slow late, to exercise the timeout, and /endless with a page
+// that never finishes, to exercise the size limit.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { FIXTURES } = require('./helpers');
+const ScraperEnrich = require('../enrich');
+
+const SITES = path.join(FIXTURES, 'sites');
+
+function serveSite(name) {
+  const hits = {};
+  const server = http.createServer((req, res) => {
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    hits[pathname] = (hits[pathname] || 0) + 1;
+
+    if (pathname === '/slow') {
+      setTimeout(() => res.end('<p>too late</p>'), 500);
+      return;
+    }
+    if (pathname === '/endless') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.write('<a href="mailto:sales@endless.example">Mail us</a>');
+      const timer = setInterval(() => res.write(`<p>${'x'.repeat(16 * 1024)}</p>`), 5);
+      res.on('close', () => {
+        clearInterval(timer);
+        hits.closed = true;
+      });
+      return;
+    }
+    const file = path.join(SITES, name, pathname === '/' ? 'index.html' : pathname);
+    if (!file.startsWith(path.join(SITES, name)) || !fs.existsSync(file)) {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(fs.readFileSync(file));
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/`,
+        hits,
+        close: () => {
+          server.closeAllConnections();
+          return new Promise(done => server.close(done));
+        }
+      });
+    });
+  });
+}
+
+test('finds emails and social profiles across the home and contact pages', async (t) => {
+  const site = await serveSite('dental');
+  t.after(site.close);
+
+  const contacts = await ScraperEnrich.createEnricher().enrichWebsite(site.url);
+
+  assert.deepEqual(contacts.emails.sort(), ['appointments@smilecare-dental.in', 'bookings@smilecare-dental.in']);
+  assert.equal(contacts.facebook, 'https://www.facebook.com/SmileCareAmritsar/');
+  assert.equal(contacts.instagram, 'https://www.instagram.com/smilecare.asr/');
+  assert.equal(contacts.linkedin, 'https://www.linkedin.com/company/smile-care-dental/');
+  assert.equal(contacts.whatsapp, 'https://wa.me/919814022001');
+  // Home page plus the two pages its links call "About" and "Contact"
+  assert.deepEqual(Object.keys(site.hits).sort(), ['/', '/about.html', '/contact.html']);
+});
+
+test('each domain is crawled once and records sharing it reuse the result', async (t) => {
+  const dental = await serveSite('dental');
+  const plain = await serveSite('plain');
+  t.after(() => Promise.all([dental.close(), plain.close()]));
+
+  const records = [
+    { name: 'Smile Care Lawrence Rd', website: dental.url },
+    { name: 'Smile Care Ranjit Avenue', website: `${dental.url}?branch=2` },
+    { name: 'Sharma Sweets', website: plain.url },
+    { name: 'No website', website: '' }
+  ];
+  const results = new Map();
+  const summary = await ScraperEnrich.enrichRecords(records, {
+    concurrency: 2,
+    onResult: (record, fields) => { results.set(record.name, fields); }
+  });
+
+  assert.deepEqual(summary, { enriched: 3, failed: 0, skipped: 1 });
+  assert.equal(dental.hits['/'], 1);
+  assert.deepEqual(results.get('Smile Care Ranjit Avenue').emails,
+    results.get('Smile Care Lawrence Rd').emails);
+  assert.deepEqual(results.get('Sharma Sweets').emails, []);
+  assert.equal(results.get('Sharma Sweets').enrichError, '');
+});
+
+test('a site slower than the timeout is recorded as failed', async (t) => {
+  const site = await serveSite('plain');
+  t.after(site.close);
+
+  const results = [];
+  const summary = await ScraperEnrich.enrichRecords([{ website: `${site.url}slow` }], {
+    timeoutMs: 100,
+    onResult: (record, fields) => { results.push(fields); }
+  });
+
+  assert.equal(summary.failed, 1);
+  assert.match(results[0].enrichError, /Timed out after 100 ms/);
+});
+
+test('a page is read up to maxBytes and the rest of the download is cancelled', async (t) => {
+  const site = await serveSite('plain');
+  t.after(site.close);
+
+  const enricher = ScraperEnrich.createEnricher({ maxBytes: 64 * 1024, maxPages: 1, timeoutMs: 5000 });
+  const contacts = await enricher.enrichWebsite(`${site.url}endless`);
+
+  assert.deepEqual(contacts.emails, ['sales@endless.example']);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(site.hits.closed, true);
+});
+
+test('a malformed mailto link is skipped without losing the others', () => {
+  const html = '<a href="mailto:%E0%A4">Broken</a> <a href="mailto:info%40dhaba.in">Mail</a>';
+  assert.deepEqual(ScraperEnrich.extractContacts(html, 'https://dhaba.in/').emails, ['info@dhaba.in']);
+});
+
+test('runPool keeps at most `limit` workers in flight', async () => {
+  let active = 0;
+  let peak = 0;
+  await ScraperEnrich.runPool([1, 2, 3, 4, 5, 6, 7], 3, async () => {
+    active++;
+    peak = Math.max(peak, active);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    active--;
+  });
+  assert.equal(peak, 3);
+});
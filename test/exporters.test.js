@@ -0,0 +1,151 @@
+// exporters.test.js — Export presets and the map and contact formats
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('../xlsx');
+const ScraperExporters = require('../exporters');
+
+const RECORDS = [
+  {
+    name: 'Kesar Da Dhaba',
+    phone: '098140 22001',
+    rating: '4.2',
+    reviews: '18902',
+    city: 'Amritsar',
+    query: 'dhaba in Amritsar',
+    scrapedAt: '2024-05-31T10:00:00.000Z'
+  },
+  { name: 'Bharawan Da Dhaba', rating: '', city: 'Amritsar', query: 'dhaba in Amritsar' }
+];
+
+const CRM = {
+  name: 'CRM import',
+  columns: [
+    { key: 'city', header: 'Town' },
+    { key: 'name', header: 'Company' },
+    { key: 'rating', header: '' },
+    { key: 'scrapedAt', header: 'Captured' }
+  ],
+  delimiter: ';',
+  filename: '{query} {date}'
+};
+
+test('without a preset CSV has every column, scrapedAt included', () => {
+  const [header, row] = ScraperExporters.generateCSVContent(RECORDS).split('\n');
+  assert.equal(header.split(',').length, ScraperExporters.COLUMNS.length);
+  assert.ok(header.endsWith('"Scraped At"'));
+  assert.ok(row.endsWith('"2024-05-31T10:00:00.000Z"'));
+});
+
+test('a preset picks, orders and renames CSV columns and sets the delimiter', () => {
+  const csv = ScraperExporters.generateCSVContent(RECORDS, CRM);
+  assert.equal(csv, [
+    '"Town";"Company";"Rating";"Captured"',
+    '"Amritsar";"Kesar Da Dhaba";"4.2";"2024-05-31T10:00:00.000Z"',
+    '"Amritsar";"Bharawan Da Dhaba";"";""'
+  ].join('\n'));
+});
+
+test('the same preset shapes JSON, with numbers as numbers', () => {
+  const { content } = ScraperExporters.buildExport('json', RECORDS, { preset: CRM });
+  assert.deepEqual(JSON.parse(content), [
+    { Town: 'Amritsar', Company: 'Kesar Da Dhaba', Rating: 4.2, Captured: '2024-05-31T10:00:00.000Z' },
+    { Town: 'Amritsar', Company: 'Bharawan Da Dhaba', Rating: '', Captured: '' }
+  ]);
+  // No preset: the stored records as they are
+  const full = ScraperExporters.buildExport('json', RECORDS);
+  assert.deepEqual(JSON.parse(full.content), RECORDS);
+});
+
+test('the same preset sets the Excel header row', () => {
+  const { content } = ScraperExporters.buildExport('excel', RECORDS, { preset: CRM });
+  const text = Buffer.from(content).toString('utf8');
+  const headers = text.match(/<row r="1"[\s\S]*?<\/row>/)[0].match(/<t[^>]*>[^<]*<\/t>/g)
+    .map(t => t.replace(/<[^>]+>/g, ''));
+  assert.deepEqual(headers, ['Town', 'Company', 'Rating', 'Captured']);
+});
+
+test('filename pattern fills tokens and drops characters a filename cannot hold', () => {
+  const now = new Date(2024, 4, 31, 14, 5);
+  assert.equal(ScraperExporters.formatFilename('{query} {date}', { query: 'cafes in Berlin/Mitte', now }),
+    'cafes in Berlin-Mitte 2024-05-31');
+  assert.equal(ScraperExporters.formatFilename('leads-{count}-{time}-{unknown}', { count: 12, now }),
+    'leads-12-1405-{unknown}');
+  assert.equal(ScraperExporters.formatFilename('{query}', { now }), 'google-maps-data');
+
+  const { filename } = ScraperExporters.buildExport('csv', RECORDS, { preset: CRM, query: 'dhaba in Amritsar' });
+  assert.match(filename, /^dhaba in Amritsar \d{4}-\d{2}-\d{2}\.csv$/);
+});
+
+test('validateSchema rejects unknown, repeated or missing columns and odd delimiters', () => {
+  assert.throws(() => ScraperExporters.validateSchema({ columns: [] }), /at least one column/);
+  assert.throws(() => ScraperExporters.validateSchema({ columns: [{ key: 'fax' }] }), /Unknown column: fax/);
+  assert.throws(() => ScraperExporters.validateSchema({ columns: [{ key: 'name' }, { key: 'name' }] }),
+    /listed twice/);
+  assert.throws(() => ScraperExporters.validateSchema({ columns: [{ key: 'name' }], delimiter: ':' }),
+    /Unsupported delimiter/);
+  assert.equal(ScraperExporters.validateSchema(CRM), true);
+});
+
+const PLACES = [
+  {
+    name: 'Golden Temple Dental, Clinic',
+    category: 'Dentist',
+    phone: '098140 22001',
+    phoneE164: '+919814022001',
+    website: 'https://smilecare-dental.in/',
+    emails: ['bookings@smilecare-dental.in'],
+    address: 'Chowk Passian, Shastri Market, Amritsar, Punjab 143006, India',
+    street: 'Chowk Passian, Shastri Market',
+    city: 'Amritsar',
+    region: 'Punjab',
+    postalCode: '143006',
+    country: 'IN',
+    latitude: '31.6200',
+    longitude: '74.8765',
+    url: 'https://www.google.com/maps/place/Golden+Temple+Dental/data=!3d31.62!4d74.8765'
+  },
+  // Older record: coordinates only in the URL
+  { name: 'Kesar & Sons <Dhaba>', url: 'https://www.google.com/maps/place/Kesar/data=!3d31.6261!4d74.8781' },
+  { name: 'Nowhere Sweets', url: 'https://www.google.com/maps/search/sweets' }
+];
+
+test('GeoJSON is a FeatureCollection of points; places without coordinates are left out', () => {
+  const { content, filename, mimeType } = ScraperExporters.buildExport('geojson', PLACES);
+  assert.equal(filename, 'google-maps-data.geojson');
+  assert.equal(mimeType, 'application/geo+json');
+  const collection = JSON.parse(content);
+  assert.equal(collection.type, 'FeatureCollection');
+  assert.deepEqual(collection.features.map(f => f.geometry),
+    [{ type: 'Point', coordinates: [74.8765, 31.62] }, { type: 'Point', coordinates: [74.8781, 31.6261] }]);
+  assert.deepEqual(collection.features[0].properties, PLACES[0]);
+
+  const withPreset = JSON.parse(ScraperExporters.buildExport('geojson', PLACES, { preset: CRM }).content);
+  assert.deepEqual(Object.keys(withPreset.features[0].properties), ['Town', 'Company', 'Rating', 'Captured']);
+});
+
+test('KML has an escaped Placemark per located place', () => {
+  const { content } = ScraperExporters.buildExport('kml', PLACES);
+  assert.equal((content.match(/<Placemark>/g) || []).length, 2);
+  assert.match(content, /<coordinates>74\.8765,31\.62,0<\/coordinates>/);
+  assert.match(content, /<name>Kesar &amp; Sons &lt;Dhaba&gt;<\/name>/);
+  assert.match(content, /<Data name="Phone \(E\.164\)"><value>\+919814022001<\/value><\/Data>/);
+  assert.doesNotMatch(content, /<Data name="Rating">/);
+});
+
+test('vCard 3.0 has one escaped, folded card per business', () => {
+  const { content, filename } = ScraperExporters.buildExport('vcard', PLACES);
+  assert.equal(filename, 'google-maps-data.vcf');
+  const cards = content.split('\r\nEND:VCARD\r\n').filter(Boolean);
+  assert.equal(cards.length, 3);
+  const lines = cards[0].replace(/\r\n /g, '').split('\r\n');
+  assert.equal(lines[0], 'BEGIN:VCARD');
+  assert.equal(lines[1], 'VERSION:3.0');
+  assert.ok(lines.includes('FN:Golden Temple Dental\\, Clinic'));
+  assert.ok(lines.includes('TEL;TYPE=WORK,VOICE:+919814022001'));
+  assert.ok(lines.includes('EMAIL;TYPE=INTERNET,WORK:bookings@smilecare-dental.in'));
+  assert.ok(lines.includes('URL:https://smilecare-dental.in/'));
+  assert.ok(lines.includes('ADR;TYPE=WORK:;;Chowk Passian\\, Shastri Market;Amritsar;Punjab;143006;IN'));
+  assert.ok(lines.includes('GEO:31.62;74.8765'));
+  for (const line of content.split('\r\n')) assert.ok(Buffer.byteLength(line) <= 75, line);
+});
@@ -0,0 +1,55 @@
+// extractors.test.js — extractAllData() against saved Google Maps detail panels
+//
+// hotel.html is a panel saved from Maps (user_snippet.html); the others are
+// written by hand after Maps markup. Each <name>.expected.json is written by
+// hand from what the panel shows, never generated from the extractors, so a
+// change in output has to be checked against the page and edited in.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { loadExtensionScripts, listFixtures, loadFixture, expectedPath } = require('./helpers');
+
+const GoogleMapsScraper = loadExtensionScripts();
+const ScraperLocales = require('../locales');
+
+for (const name of listFixtures()) {
+  test(`extractAllData: ${name}`, () => {
+    const dom = loadFixture(name);
+    const scraper = new GoogleMapsScraper();
+    // Fixtures declare their UI language the way Maps does, on <html lang>
+    scraper.applyLocale(ScraperLocales.detectLocale(document, location.href));
+    const actual = JSON.parse(JSON.stringify(scraper.extractAllData()));
+    dom.window.close();
+
+    assert.ok(fs.existsSync(expectedPath(name)), `No ${name}.expected.json next to ${name}.html`);
+    const expected = JSON.parse(fs.readFileSync(expectedPath(name), 'utf8'));
+    assert.deepEqual(actual, expected);
+  });
+}
+
+test('parsePlaceUrl reads coordinates, place ID and CID', () => {
+  const scraper = new GoogleMapsScraper();
+  const url = 'https://www.google.com/maps/place/Kesar+Da+Dhaba/data=!4m7!3m6' +
+    '!1s0x391964aa569e7355:0x8fbd263103a38861!8m2!3d31.6339!4d74.8722' +
+    '!16s%2Fg%2F11b6d8x0zq!19sChIJVXeeVqpkGTkRYYijAzEmvY8?authuser=0&hl=en';
+
+  assert.deepEqual(scraper.parsePlaceUrl(url), {
+    latitude: '31.6339',
+    longitude: '74.8722',
+    placeId: 'ChIJVXeeVqpkGTkRYYijAzEmvY8',
+    cid: '10357476709978310753'
+  });
+});
+
+test('parseDayHours handles split shifts, borrowed meridiems and closed days', () => {
+  const scraper = new GoogleMapsScraper();
+
+  assert.deepEqual(scraper.parseDayHours('9:30 AM–1 PM, 4–8 PM').periods, [
+    { open: '09:30', close: '13:00' },
+    { open: '16:00', close: '20:00' }
+  ]);
+  assert.deepEqual(scraper.parseDayHours('11–2 pm').periods, [{ open: '11:00', close: '14:00' }]);
+  assert.equal(scraper.parseDayHours('Open 24 hours').status, 'open24');
+  assert.equal(scraper.parseDayHours('Closed').status, 'closed');
+});
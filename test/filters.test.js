@@ -0,0 +1,56 @@
+// filters.test.js — Lead filter rules on extracted place data
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ScraperFilters = require('../filters');
+
+function place(overrides = {}) {
+  return {
+    name: 'Smile Dental Care',
+    category: 'Dental clinic',
+    phone: '098140 22001',
+    website: '',
+    rating: '4.3',
+    reviews: '27',
+    ...overrides
+  };
+}
+
+test('rules do nothing until enabled', () => {
+  const rules = { enabled: false, minRating: 4.5, website: 'with' };
+  assert.deepEqual(ScraperFilters.evaluate(place(), rules), { pass: true, reasons: [] });
+  assert.deepEqual(ScraperFilters.evaluate(place(), null), { pass: true, reasons: [] });
+  assert.equal(ScraperFilters.isActive(rules), false);
+});
+
+test('a lead-generation rule set keeps well-rated, little-reviewed places without a website', () => {
+  const rules = { enabled: true, minRating: '4.0', reviewsBelow: '50', website: 'without', categoryKeywords: 'dentist, dental' };
+  assert.equal(ScraperFilters.evaluate(place(), rules).pass, true);
+
+  assert.deepEqual(ScraperFilters.evaluate(place({ rating: '3.9' }), rules).reasons, ['rating 3.9 < 4']);
+  assert.deepEqual(ScraperFilters.evaluate(place({ rating: '' }), rules).reasons, ['no rating']);
+  assert.deepEqual(ScraperFilters.evaluate(place({ reviews: '50' }), rules).reasons, ['50 reviews ≥ 50']);
+  assert.deepEqual(ScraperFilters.evaluate(place({ website: 'https://smile.in' }), rules).reasons, ['has a website']);
+  assert.deepEqual(ScraperFilters.evaluate(place({ category: 'Bakery' }), rules).reasons,
+    ['category "Bakery" not wanted']);
+});
+
+test('missing review counts read as zero and excluded keywords win over wanted ones', () => {
+  const rules = { enabled: true, minReviews: 5, phone: 'with', categoryKeywords: ['dental'], excludeKeywords: 'laboratory' };
+  assert.deepEqual(ScraperFilters.evaluate(place({ reviews: '' }), rules).reasons, ['0 reviews < 5']);
+  assert.deepEqual(ScraperFilters.evaluate(place({ phone: '' }), rules).reasons, ['no phone']);
+  assert.deepEqual(ScraperFilters.evaluate(place({ category: 'Dental laboratory' }), rules).reasons,
+    ['category "Dental laboratory" excluded']);
+});
+
+test('form values are normalized and described in plain words', () => {
+  const rules = ScraperFilters.normalizeRules({
+    enabled: true, minRating: '4,5', minReviews: '', website: 'sometimes', categoryKeywords: ' Dentist ,\nOrthodontist,, '
+  });
+  assert.equal(rules.minRating, 4.5);
+  assert.equal(rules.minReviews, null);
+  assert.equal(rules.website, 'any');
+  assert.deepEqual(rules.categoryKeywords, ['dentist', 'orthodontist']);
+  assert.deepEqual(ScraperFilters.describeRules(rules), ['rating ≥ 4.5', 'category contains dentist or orthodontist']);
+  assert.equal(ScraperFilters.isActive({ enabled: true }), false);
+});
@@ -0,0 +1,84 @@
+// helpers.js — Load the extension scripts and saved Maps pages into Node
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// Shared modules attach themselves to globalThis, so requiring them in
+// manifest order gives the scraper the same globals it sees in the page.
+// content.js is skipped: it is the in-page wiring, not library code.
+function loadExtensionScripts() {
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+  for (const file of manifest.content_scripts[0].js) {
+    if (file === 'content.js') continue;
+    require(path.join(ROOT, file));
+  }
+  return globalThis.GoogleMapsScraper;
+}
+
+function listFixtures() {
+  return fs.readdirSync(FIXTURES)
+    .filter(file => file.endsWith('.html'))
+    .map(file => file.replace(/\.html$/, ''))
+    .sort();
+}
+
+// Point the DOM globals the extractors use at a saved detail panel
+function loadFixture(name) {
+  const html = fs.readFileSync(path.join(FIXTURES, `${name}.html`), 'utf8');
+  const dom = new JSDOM(html, { url: 'https://www.google.com/maps/search/fixture' });
+  globalThis.window = dom.window;
+  globalThis.document = dom.window.document;
+  globalThis.location = dom.window.location;
+  globalThis.getComputedStyle = dom.window.getComputedStyle.bind(dom.window);
+  return dom;
+}
+
+// In-memory chrome.storage and a runtime that swallows messages, enough
+// for ScraperStorage and the scraper's notify() to run under Node
+function installFakeChrome() {
+  const fakeArea = () => {
+    const items = {};
+    const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+    return {
+      items,
+      async get(keys) {
+        const wanted = keys === null || keys === undefined ? Object.keys(items) : [].concat(keys);
+        const result = {};
+        for (const key of wanted) {
+          if (key in items) result[key] = clone(items[key]);
+        }
+        return result;
+      },
+      async set(values) {
+        for (const [key, value] of Object.entries(values)) items[key] = clone(value);
+      },
+      async remove(keys) {
+        for (const key of [].concat(keys)) delete items[key];
+      }
+    };
+  };
+  const messages = [];
+  globalThis.chrome = {
+    storage: { local: fakeArea(), session: fakeArea() },
+    runtime: { sendMessage: async (message) => { messages.push(message); } },
+    messages
+  };
+  return globalThis.chrome;
+}
+
+function expectedPath(name) {
+  return path.join(FIXTURES, `${name}.expected.json`);
+}
+
+module.exports = {
+  FIXTURES,
+  loadExtensionScripts,
+  listFixtures,
+  loadFixture,
+  installFakeChrome,
+  expectedPath
+};
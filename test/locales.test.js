@@ -0,0 +1,65 @@
+// locales.test.js — UI language detection, number formats and translated end-of-list detection
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { loadExtensionScripts } = require('./helpers');
+
+const GoogleMapsScraper = loadExtensionScripts();
+const ScraperLocales = require('../locales');
+
+test('detectLocale prefers hl= over <html lang> and falls back to English', () => {
+  const doc = new JSDOM('<html lang="de-DE"></html>').window.document;
+  assert.equal(ScraperLocales.detectLocale(doc, 'https://www.google.com/maps/search/x'), 'de');
+  assert.equal(ScraperLocales.detectLocale(doc, 'https://www.google.com/maps/search/x?hl=es'), 'es');
+  assert.equal(ScraperLocales.detectLocale(doc, 'https://www.google.com/maps/search/x?hl=ja'), 'de');
+  assert.equal(ScraperLocales.detectLocale(null, 'https://www.google.com/maps/search/x?hl=fr'), 'en');
+});
+
+test('parseNumber reads each locale\'s separators', () => {
+  const { getLocale, parseNumber } = ScraperLocales;
+  assert.equal(parseNumber('4,5', getLocale('de')), '4.5');
+  assert.equal(parseNumber('1.234', getLocale('es')), '1234');
+  assert.equal(parseNumber('1,23,456', getLocale('hi')), '123456');
+  assert.equal(parseNumber('१,२३४', getLocale('hi')), '1234');
+  assert.equal(parseNumber('18,902', getLocale('en')), '18902');
+  assert.equal(parseNumber('n/a', getLocale('en')), '');
+});
+
+test('a lone group separator without a full group after it is a decimal point', () => {
+  const { getLocale, parseNumber } = ScraperLocales;
+  assert.equal(parseNumber('4.5', getLocale('de')), '4.5');
+  assert.equal(parseNumber('1.234,5', getLocale('de')), '1234.5');
+  assert.equal(parseNumber('12.345.678', getLocale('es')), '12345678');
+  assert.equal(parseNumber('4,5', getLocale('en')), '4.5');
+
+  const scraper = new GoogleMapsScraper();
+  scraper.applyLocale('de');
+  assert.equal(scraper.parseRating('4.5'), '4.5');
+  assert.equal(scraper.parseRating('4.500'), '');
+});
+
+test('hasReachedEnd recognises the translated end-of-list message', () => {
+  const messages = {
+    en: 'You\'ve reached the end of the list.',
+    de: 'Das Ende der Liste ist erreicht.',
+    es: 'Has llegado al final de la lista.',
+    hi: 'आप सूची के आखिर तक पहुंच गए हैं.'
+  };
+  for (const [code, message] of Object.entries(messages)) {
+    const dom = new JSDOM(`<div role="feed"><p><span><span>${message}</span></span></p></div>`);
+    globalThis.document = dom.window.document;
+    const scraper = new GoogleMapsScraper();
+    scraper.applyLocale(code);
+    assert.equal(scraper.hasReachedEnd(), true, code);
+    dom.window.close();
+  }
+});
+
+test('a saved profile override still wins over the locale', () => {
+  const scraper = new GoogleMapsScraper();
+  scraper.customProfile = { patterns: { endOfList: '/Listenende/' } };
+  scraper.applyLocale('de');
+  assert.equal(scraper.patterns.endOfList.source, 'Listenende');
+  assert.equal(scraper.patterns.closed.source, '^geschlossen');
+});
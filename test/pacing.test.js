@@ -0,0 +1,63 @@
+// pacing.test.js — Randomized delays, back-off on timeouts and block detection
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { loadExtensionScripts } = require('./helpers');
+
+const GoogleMapsScraper = loadExtensionScripts();
+const ScraperPacing = require('../pacing');
+
+const MAPS_URL = 'https://www.google.com/maps/search/dentist';
+
+test('delays fall within the profile bounds, or the user bounds when set', () => {
+  const low = ScraperPacing.createPacer({ profile: 'safe', random: () => 0 });
+  const high = ScraperPacing.createPacer({ profile: 'safe', random: () => 0.999999 });
+  assert.equal(low.clickDelay(), 1500);
+  assert.equal(high.clickDelay(), 4000);
+  assert.equal(low.detailTimeout(), 6000);
+
+  const custom = ScraperPacing.createPacer({ profile: 'fast', delayMinMs: 3000, delayMaxMs: 2000, random: () => 0 });
+  assert.deepEqual(custom.bounds.clickDelay, [2000, 3000]);
+  assert.deepEqual(custom.bounds.scrollWait, ScraperPacing.PROFILES.fast.scrollWait);
+  assert.deepEqual(ScraperPacing.resolveProfile('reckless'), ScraperPacing.resolveProfile('balanced'));
+});
+
+test('repeated panel timeouts slow everything down and loaded panels ease it off', () => {
+  const pacer = ScraperPacing.createPacer({ profile: 'balanced', random: () => 0 });
+  assert.equal(pacer.recordTimeout(), 0);          // one timeout can be chance
+  assert.equal(pacer.recordTimeout(), 20000);
+  assert.equal(pacer.slowdown, 2);
+  assert.equal(pacer.clickDelay(), 800);
+  assert.equal(pacer.detailTimeout(), 8000);
+  assert.equal(pacer.recordTimeout(), 40000);
+  assert.equal(pacer.recordTimeout(), 60000);
+  assert.equal(pacer.recordTimeout(), 60000);      // capped at 8×
+  assert.equal(pacer.slowdown, 8);
+  assert.equal(pacer.detailTimeout(), 8000);
+
+  for (let i = 0; i < 20; i++) pacer.recordLoaded();
+  assert.equal(pacer.slowdown, 1);
+  assert.equal(pacer.recordTimeout(), 0);
+});
+
+test('captcha frames, unusual-traffic notices and the sorry page count as blocks', () => {
+  const page = body => new JSDOM(`<body>${body}</body>`, { url: MAPS_URL }).window.document;
+  assert.equal(ScraperPacing.detectBlock(page('<div role="feed"></div>'), MAPS_URL), '');
+  assert.equal(ScraperPacing.detectBlock(page('<iframe src="https://www.google.com/recaptcha/api2/anchor"></iframe>'), MAPS_URL),
+    'Google Maps is showing a captcha');
+  assert.equal(ScraperPacing.detectBlock(page('<p>Our systems have detected unusual traffic from your computer network.</p>'), MAPS_URL),
+    'Google Maps reports unusual traffic');
+  assert.match(ScraperPacing.detectBlock(page(''), 'https://www.google.com/sorry/index?continue=x'), /not a robot/);
+});
+
+test('a block stops the run instead of clicking on', () => {
+  const dom = new JSDOM('<body><form id="captcha-form"></form></body>', { url: MAPS_URL });
+  globalThis.document = dom.window.document;
+  globalThis.location = dom.window.location;
+  const scraper = new GoogleMapsScraper();
+  scraper.isRunning = true;
+  assert.equal(scraper.checkBlocked(), true);
+  assert.equal(scraper.isRunning, false);
+  assert.equal(scraper.blockedReason, 'Google Maps is showing a captcha');
+});
@@ -0,0 +1,48 @@
+// phone.test.js — E.164 normalization and country inference
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const ScraperPhone = require('../phone');
+
+test('normalizePhone turns displayed numbers into E.164 and national format', () => {
+  const cases = [
+    ['098140 22001', 'IN', '+919814022001', '098140 22001'],
+    ['(0183) 250 1234', 'IN', '+911832501234', '01832501234'],
+    ['91 98765 43210', 'IN', '+919876543210', '098765 43210'],
+    ['+1 415-555-0134', '', '+14155550134', '(415) 555-0134'],
+    ['030 44012345', 'DE', '+493044012345', '03044012345'],
+    ['915 55 12 34', 'ES', '+34915551234', '915 55 12 34'],
+    ['+44 (0)20 7946 0958', 'IN', '+442079460958', '020 7946 0958'],
+    ['+49 (0)30 44012345', '', '+493044012345', '03044012345'],
+    ['0033 1 42 68 53 00', '', '+33142685300', '01 42 68 53 00']
+  ];
+  for (const [raw, country, e164, national] of cases) {
+    const parsed = ScraperPhone.normalizePhone(raw, country);
+    assert.equal(parsed.valid, true, raw);
+    assert.equal(parsed.e164, e164, raw);
+    assert.equal(parsed.national, national, raw);
+  }
+});
+
+test('normalizePhone rejects fragments and numbers without a known country', () => {
+  assert.deepEqual(ScraperPhone.normalizePhone('250 12', 'IN'),
+    { e164: '', national: '', valid: false, country: 'IN' });
+  assert.equal(ScraperPhone.normalizePhone('098140 22001', '').valid, false);
+  assert.equal(ScraperPhone.normalizePhone('+999 1234 5678', '').valid, false);
+});
+
+test('inferCountry reads the address before falling back to the Maps region', () => {
+  const { inferCountry } = ScraperPhone;
+  assert.equal(inferCountry('Calle de Atocha 45, 28012 Madrid, España', 'IN'), 'ES');
+  assert.equal(inferCountry('Chowk Passian, Shastri Market, Amritsar, Punjab 143006', ''), 'IN');
+  assert.equal(inferCountry('1 Market St, San Francisco, CA 94105', ''), 'US');
+  assert.equal(inferCountry('Schönhauser Allee 12, 10119 Berlin', 'DE'), 'DE');
+  assert.equal(inferCountry('Schönhauser Allee 12, 10119 Berlin', ''), '');
+});
+
+test('detectRegion reads gl= and the <html lang> region subtag', () => {
+  const doc = new JSDOM('<html lang="en-IN"></html>').window.document;
+  assert.equal(ScraperPhone.detectRegion(doc, 'https://www.google.com/maps/search/x?gl=de'), 'DE');
+  assert.equal(ScraperPhone.detectRegion(doc, 'https://www.google.com/maps/search/x'), 'IN');
+});
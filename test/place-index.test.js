@@ -0,0 +1,119 @@
+// place-index.test.js — Recognising places from earlier runs and what changed
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { loadExtensionScripts, installFakeChrome, FIXTURES } = require('./helpers');
+
+const GoogleMapsScraper = loadExtensionScripts();
+const ScraperExporters = require('../exporters');
+
+const CARD_URL = 'https://www.google.com/maps/place/Kesar+Da+Dhaba/data=!4m7!3m6' +
+  '!1s0x391964aa569e7355:0x8fbd263103a38861!8m2!3d31.6339!4d74.8722!19sChIJVXeeVqpkGTkRYYijAzEmvY8?authuser=0';
+
+function place(overrides = {}) {
+  return {
+    name: 'Kesar Da Dhaba',
+    category: 'Restaurant',
+    phone: '098140 22001',
+    website: '',
+    address: 'Chowk Passian, Amritsar',
+    rating: '4.2',
+    reviews: '18902',
+    priceLevel: '₹200–400',
+    plusCode: '',
+    hours: { monday: { status: 'open', periods: [{ open: '07:00', close: '23:00' }], text: '' } },
+    scrapedAt: '2024-05-01T10:00:00.000Z',
+    ...overrides
+  };
+}
+
+test('the index key is the CID, surviving a renamed slug and other query strings', () => {
+  const scraper = new GoogleMapsScraper();
+  const renamed = CARD_URL.replace('Kesar+Da+Dhaba', 'Kesar+Da+Dhaba+%28Since+1916%29').replace('authuser=0', 'hl=de');
+  assert.equal(scraper.placeIndexKey(CARD_URL), 'cid:10357476709978310753');
+  assert.equal(scraper.placeIndexKey(renamed), 'cid:10357476709978310753');
+  assert.equal(scraper.placeIndexKey('https://www.google.com/maps/place/X/data=!19sChIJabc'), 'id:ChIJabc');
+  assert.equal(scraper.placeIndexKey('https://www.google.com/maps/place/X/data=!4m2?hl=en'),
+    'url:https://www.google.com/maps/place/X/data=!4m2');
+});
+
+test('a place from an earlier run keeps its first-seen date and reports changed fields', () => {
+  const scraper = new GoogleMapsScraper();
+
+  const first = scraper.trackPlace(place(), CARD_URL);
+  assert.equal(first.seenBefore, false);
+  assert.deepEqual(first.changedFields, []);
+  assert.equal(first.entry.firstSeenAt, '2024-05-01T10:00:00.000Z');
+
+  // Next session: the index comes back from storage
+  const later = new GoogleMapsScraper();
+  later.placeIndex = JSON.parse(JSON.stringify(scraper.placeIndex));
+  assert.equal(later.isKnownPlace(CARD_URL), true);
+
+  const same = later.trackPlace(place({ scrapedAt: '2024-05-08T10:00:00.000Z' }), CARD_URL);
+  assert.equal(same.seenBefore, true);
+  assert.deepEqual(same.changedFields, []);
+
+  const changed = later.trackPlace(place({
+    phone: '0183 255 0001',
+    reviews: '19011',
+    hours: { monday: { status: 'closed', periods: [], text: '' } },
+    scrapedAt: '2024-05-15T10:00:00.000Z'
+  }), CARD_URL);
+  assert.deepEqual(changed.changedFields, ['phone', 'reviews', 'hours']);
+  assert.equal(changed.entry.firstSeenAt, '2024-05-01T10:00:00.000Z');
+  assert.equal(changed.entry.lastSeenAt, '2024-05-15T10:00:00.000Z');
+});
+
+test('newSince keeps places first seen on or after the chosen day', () => {
+  const records = [
+    { name: 'Old', firstSeenAt: new Date(2024, 3, 20, 12).toISOString() },
+    { name: 'Same day', firstSeenAt: new Date(2024, 4, 1, 0, 5).toISOString() },
+    { name: 'Before the index', scrapedAt: new Date(2024, 4, 3).toISOString() },
+    { name: 'Known, first seen long ago', firstSeenAt: new Date(2023, 0, 1).toISOString(),
+      scrapedAt: new Date(2024, 4, 3).toISOString() }
+  ];
+  assert.deepEqual(ScraperExporters.newSince(records, '2024-05-01').map(r => r.name), ['Same day', 'Before the index']);
+  assert.equal(ScraperExporters.newSince(records, '').length, 4);
+  assert.throws(() => ScraperExporters.newSince(records, 'last week'), /Not a date/);
+});
+
+test('a place the filter turned down is known next run and not opened again', async () => {
+  const chrome = installFakeChrome();
+  chrome.storage.local.items.settings = { knownPlaces: 'skip', filters: { enabled: true, minRating: 5 } };
+  // The dentist panel (rated 4.9) opens when its card in the results list is clicked
+  const panel = fs.readFileSync(path.join(FIXTURES, 'dentist.html'), 'utf8').match(/<body>([\s\S]*)<\/body>/)[1];
+  const dom = new JSDOM(`<body><div role="feed"><a href="${CARD_URL}">Card</a></div><div id="panel"></div></body>`,
+    { url: 'https://www.google.com/maps/search/dentist' });
+  globalThis.window = dom.window;
+  globalThis.document = dom.window.document;
+  globalThis.location = dom.window.location;
+
+  let opened = 0;
+  document.querySelector('[role="feed"] a').addEventListener('click', (e) => {
+    e.preventDefault();
+    opened++;
+    document.getElementById('panel').innerHTML = panel;
+  });
+  const run = async () => {
+    const scraper = new GoogleMapsScraper();
+    scraper.wait = async () => {};
+    scraper.scrollFeed = async () => {};
+    scraper.waitForDetailPanel = async () => true;
+    await scraper.start();
+    return scraper;
+  };
+
+  const first = await run();
+  assert.equal(opened, 1);
+  assert.equal(first.rejectedThisRun, 1);
+  assert.ok(chrome.storage.local.items['known:cid:10357476709978310753']);
+
+  document.getElementById('panel').innerHTML = '';
+  const second = await run();
+  assert.equal(opened, 1);
+  assert.equal(second.skippedThisRun, 1);
+});
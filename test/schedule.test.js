@@ -0,0 +1,119 @@
+// schedule.test.js — Run limits and when scheduled runs are due
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { loadExtensionScripts, installFakeChrome } = require('./helpers');
+
+const GoogleMapsScraper = loadExtensionScripts();
+const ScraperSchedule = require('../schedule');
+
+// A results list of `count` cards; every scroll loads three more. Card
+// scraping is stubbed, so only the run loop itself is exercised
+function resultsPage(settings, count) {
+  const chrome = installFakeChrome();
+  chrome.storage.local.items.settings = settings;
+  const dom = new JSDOM('<body><div role="feed"></div></body>', { url: 'https://www.google.com/maps/search/dentist' });
+  globalThis.window = dom.window;
+  globalThis.document = dom.window.document;
+  globalThis.location = dom.window.location;
+
+  const feed = document.querySelector('[role="feed"]');
+  const addCards = n => {
+    for (let i = 0; i < n; i++) {
+      const link = document.createElement('a');
+      link.href = `https://www.google.com/maps/place/P${feed.children.length + 1}/data=!4m2`;
+      feed.appendChild(link);
+    }
+  };
+  addCards(count);
+
+  const scraper = new GoogleMapsScraper();
+  const scraped = [];
+  scraper.wait = async () => {};
+  scraper.scrollFeed = async () => addCards(3);
+  scraper.scrapeCard = async (card) => {
+    scraped.push(card.getAttribute('href'));
+    scraper.scrapedUrls.add(scraper.getUniqueUrl(card.href));
+    scraper.addedThisRun++;
+    return true;
+  };
+  return { scraper, scraped, chrome };
+}
+
+// Local times, so the expectations hold in any time zone
+const at = (day, hours, minutes) => new Date(2024, 4, day, hours, minutes).getTime();   // May 2024
+
+test('daily runs fall on the next occurrence of their time', () => {
+  const nightly = { repeat: 'daily', time: '02:30' };
+  assert.equal(ScraperSchedule.nextRunAt(nightly, at(6, 1, 0)), at(6, 2, 30));
+  assert.equal(ScraperSchedule.nextRunAt(nightly, at(6, 2, 30)), at(7, 2, 30));
+  assert.equal(ScraperSchedule.nextRunAt(nightly, at(31, 23, 0)), new Date(2024, 5, 1, 2, 30).getTime());
+});
+
+test('weekly runs wait for their weekday and hourly runs for their minute', () => {
+  // 6 May 2024 is a Monday
+  const mondays = { repeat: 'weekly', day: 1, time: '09:00' };
+  assert.equal(ScraperSchedule.nextRunAt(mondays, at(6, 8, 0)), at(6, 9, 0));
+  assert.equal(ScraperSchedule.nextRunAt(mondays, at(6, 9, 0)), at(13, 9, 0));
+  assert.equal(ScraperSchedule.nextRunAt({ ...mondays, day: 0 }, at(8, 12, 0)), at(12, 9, 0));
+
+  const hourly = { repeat: 'hourly', time: '00:15' };
+  assert.equal(ScraperSchedule.nextRunAt(hourly, at(6, 10, 5)), at(6, 10, 15));
+  assert.equal(ScraperSchedule.nextRunAt(hourly, at(6, 10, 15)), at(6, 11, 15));
+  assert.equal(ScraperSchedule.describeSchedule(hourly), 'Hourly at :15');
+  assert.equal(ScraperSchedule.describeSchedule(mondays), 'Mondays at 09:00');
+});
+
+test('schedules are validated and alarms map back to them', () => {
+  const valid = { name: 'Dentists', terms: ['dentist'], repeat: 'daily', time: '02:00' };
+  assert.equal(ScraperSchedule.validateSchedule(valid), true);
+  assert.throws(() => ScraperSchedule.validateSchedule({ ...valid, terms: [] }), /search term/);
+  assert.throws(() => ScraperSchedule.validateSchedule({ ...valid, time: '25:00' }), /HH:MM/);
+  assert.throws(() => ScraperSchedule.validateSchedule({ ...valid, repeat: 'weekly' }), /day of the week/);
+  assert.equal(ScraperSchedule.scheduleIdOf(ScraperSchedule.alarmName('lx3k9')), 'lx3k9');
+  assert.equal(ScraperSchedule.scheduleIdOf('something-else'), null);
+});
+
+test('run limits end a run on places, time or scroll rounds, and 0 turns them off', () => {
+  const scraper = new GoogleMapsScraper();
+  const startedMs = Date.now();
+  scraper.settings = { ...scraper.settings, maxPlaces: 0, maxMinutes: 0, maxScrollRounds: 0 };
+  scraper.addedThisRun = 500;
+  assert.equal(scraper.runLimitReason(startedMs - 3600000, 99), '');
+
+  scraper.settings = { ...scraper.settings, maxPlaces: 100, maxMinutes: 10, maxScrollRounds: 5 };
+  scraper.addedThisRun = 99;
+  assert.equal(scraper.runLimitReason(startedMs, 4), '');
+  scraper.addedThisRun = 100;
+  assert.equal(scraper.runLimitReason(startedMs, 0), 'reached 100 places');
+  scraper.addedThisRun = 0;
+  assert.equal(scraper.runLimitReason(startedMs - 10 * 60000, 0), 'ran for 10 min');
+  assert.equal(scraper.runLimitReason(startedMs, 5), 'scrolled 5 times');
+});
+
+test('the last allowed scroll still has every card it loaded scraped', async () => {
+  const { scraper, scraped } = resultsPage({ maxScrollRounds: 1 }, 3);
+  await scraper.start();
+  assert.equal(scraped.length, 6);
+  assert.equal(scraper.limitReason, 'scrolled 1 times');
+});
+
+test('a resumed run goes on with the places and time it had already used', async () => {
+  const { scraper, scraped, chrome } = resultsPage({ maxPlaces: 4 }, 6);
+  const scrapeCard = scraper.scrapeCard;
+  scraper.scrapeCard = async (card) => {
+    await scrapeCard(card);
+    if (scraped.length === 3) scraper.stop();
+    return true;
+  };
+  await scraper.start();
+  assert.equal(scraped.length, 3);
+  assert.equal(chrome.storage.local.items.checkpoint.added, 3);
+
+  scraper.scrapeCard = scrapeCard;
+  await scraper.start({ resume: true });
+  assert.equal(scraped.length, 4);
+  assert.equal(scraper.limitReason, 'reached 4 places');
+  assert.equal(scraper.addedThisRun, 4);
+});
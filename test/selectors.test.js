@@ -0,0 +1,54 @@
+// selectors.test.js — Selector profile merging, validation and use by the extractors
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtensionScripts, loadFixture } = require('./helpers');
+
+const GoogleMapsScraper = loadExtensionScripts();
+const ScraperSelectors = require('../selectors');
+
+test('built-in profile compiles and validates', () => {
+  const dom = loadFixture('restaurant');
+  assert.doesNotThrow(() => ScraperSelectors.validateProfile(ScraperSelectors.DEFAULT_PROFILE, dom.window.document));
+  const compiled = ScraperSelectors.compileProfile(null);
+  assert.ok(compiled.patterns.phoneLabel instanceof RegExp);
+  dom.window.close();
+});
+
+test('a partial profile only overrides the keys it names', () => {
+  const merged = ScraperSelectors.mergeProfile({ version: 2, selectors: { feed: 'div.results' } });
+  assert.equal(merged.version, 2);
+  assert.equal(merged.selectors.feed, 'div.results');
+  assert.equal(merged.selectors.cardLink, ScraperSelectors.DEFAULT_PROFILE.selectors.cardLink);
+  assert.deepEqual(merged.patterns, ScraperSelectors.DEFAULT_PROFILE.patterns);
+});
+
+test('validateProfile names the broken entry', () => {
+  const dom = loadFixture('restaurant');
+  const doc = dom.window.document;
+  assert.throws(() => ScraperSelectors.validateProfile({ selectors: { phoneButton: 'button[' } }, doc),
+    /Selector "phoneButton"/);
+  assert.throws(() => ScraperSelectors.validateProfile({ patterns: { phoneLabel: 'Phone:' } }, doc),
+    /Pattern "phoneLabel"/);
+  assert.throws(() => ScraperSelectors.validateProfile({ patterns: { closed: '/closed/g' } }, doc),
+    /g flag/);
+  dom.window.close();
+});
+
+test('extractors follow an applied profile', () => {
+  const dom = loadFixture('restaurant');
+  const scraper = new GoogleMapsScraper();
+  const builtIn = scraper.extractAllData();
+
+  // Pointing the phone button at nothing forces the fallbacks
+  scraper.applyProfile(ScraperSelectors.compileProfile({
+    selectors: { phoneButton: 'button[data-item-id="nope"]', phoneLabelButton: 'button[data-nope]' },
+    patterns: { phoneNumber: '/^$/' }
+  }));
+  const patched = scraper.extractAllData();
+  dom.window.close();
+
+  assert.ok(builtIn.phone);
+  assert.equal(patched.phone, '');
+  assert.equal(patched.name, builtIn.name);
+});
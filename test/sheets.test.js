@@ -0,0 +1,152 @@
+// sheets.test.js — Upserting rows through the Apps Script protocol
+//
+// The mock endpoint runs the real APPS_SCRIPT source in a vm against an
+// in-memory spreadsheet, so the script and the client are tested together.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const vm = require('vm');
+require('../xlsx');
+require('../exporters');
+require('../webhook');
+const ScraperSheets = require('../sheets');
+
+// Just enough of SpreadsheetApp for the script: a grid of cells
+function fakeSheet() {
+  const cells = [];
+  const formats = [];
+  const grid = (store, r, c) => ((store[r] = store[r] || [])[c] === undefined ? '' : store[r][c]);
+  const sheet = {
+    formats,
+    getLastRow: () => cells.length,
+    getLastColumn: () => Math.max(0, ...cells.map(row => row.length)),
+    setFrozenRows: () => {},
+    getRange(row, col, rows = 1, cols = 1) {
+      const span = (store) => Array.from({ length: rows }, (_, i) =>
+        Array.from({ length: cols }, (_, j) => grid(store, row - 1 + i, col - 1 + j)));
+      const write = (store, values) => values.forEach((line, i) => line.forEach((value, j) => {
+        (store[row - 1 + i] = store[row - 1 + i] || [])[col - 1 + j] = value;
+      }));
+      const range = {
+        getValues: () => span(cells),
+        getNumberFormats: () => span(formats),
+        setValues: (values) => { write(cells, values); return range; },
+        setNumberFormats: (values) => { write(formats, values); return range; },
+        setFontWeight: () => range
+      };
+      return range;
+    }
+  };
+  return sheet;
+}
+
+function appsScriptEndpoint(token = '') {
+  const sheets = {};
+  const context = vm.createContext({
+    LockService: { getScriptLock: () => ({ waitLock() {}, releaseLock() {} }) },
+    SpreadsheetApp: {
+      getActiveSpreadsheet: () => ({
+        getSheetByName: name => sheets[name] || null,
+        insertSheet: name => (sheets[name] = fakeSheet())
+      })
+    },
+    ContentService: {
+      MimeType: { JSON: 'json' },
+      createTextOutput: text => ({ setMimeType: () => text })
+    }
+  });
+  vm.runInContext(ScraperSheets.APPS_SCRIPT.replace("var TOKEN = '';", `var TOKEN = ${JSON.stringify(token)};`), context);
+
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body: JSON.parse(body) });
+      const output = context.doPost({ postData: { contents: body } });
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end(output);
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/macros/s/abc/exec`,
+        sheets,
+        requests,
+        close: () => {
+          server.closeAllConnections();
+          return new Promise(done => server.close(done));
+        }
+      });
+    });
+  });
+}
+
+const COLUMNS = require('../exporters').COLUMNS.filter(col => ['name', 'phone', 'rating'].includes(col.key));
+
+function place(name, extra = {}) {
+  return { name, url: `https://www.google.com/maps/place/${name}/data=!4m2?authuser=0&hl=en`, ...extra };
+}
+
+test('new places are appended and known places update their row', async (t) => {
+  const endpoint = await appsScriptEndpoint('s3cret');
+  t.after(endpoint.close);
+  const config = { url: endpoint.url, sheetName: 'Leads', token: 's3cret', batchSize: 2 };
+
+  const first = await ScraperSheets.upsertRecords(
+    [place('Kesar', { phone: '098140 22001', rating: '4.2' }), place('Bharawan'), place('Giani')],
+    config, { columns: COLUMNS });
+  assert.deepEqual(first, { sent: 3, failed: 0, appended: 3, updated: 0, batches: 2 });
+
+  // Someone added a notes column by hand; it must survive the update
+  const sheet = endpoint.sheets.Leads;
+  sheet.getRange(1, 5).setValues([['Notes']]);
+  sheet.getRange(2, 5).setValues([['called']]);
+
+  const log = [];
+  const second = await ScraperSheets.upsertRecords(
+    [place('Kesar', { phone: '098140 22001', rating: '4.5' }), place('Novelty')],
+    config, { columns: COLUMNS, onBatch: entry => { log.push(entry); } });
+  assert.deepEqual(second, { sent: 2, failed: 0, appended: 1, updated: 1, batches: 1 });
+  assert.equal(log[0].event, 'sheets');
+  assert.equal(log[0].appended, 1);
+
+  assert.deepEqual(sheet.getRange(1, 1, sheet.getLastRow(), sheet.getLastColumn()).getValues(), [
+    ['Place Key', 'Name', 'Phone', 'Rating', 'Notes'],
+    ['https://www.google.com/maps/place/Kesar/data=!4m2', 'Kesar', '098140 22001', 4.5, 'called'],
+    ['https://www.google.com/maps/place/Bharawan/data=!4m2', 'Bharawan', '', '', ''],
+    ['https://www.google.com/maps/place/Giani/data=!4m2', 'Giani', '', '', ''],
+    ['https://www.google.com/maps/place/Novelty/data=!4m2', 'Novelty', '', '', '']
+  ]);
+  // Text columns are formatted as text so phones keep their leading zero
+  assert.deepEqual(sheet.formats[1].slice(0, 4), ['@', '@', '@', '']);
+  // Sent as a simple request: Apps Script does not answer CORS preflights
+  assert.match(endpoint.requests[0].headers['content-type'], /^text\/plain/);
+});
+
+test('a wrong token or a non-JSON answer fails the batch with a readable error', async (t) => {
+  const endpoint = await appsScriptEndpoint('s3cret');
+  t.after(endpoint.close);
+
+  const log = [];
+  const summary = await ScraperSheets.upsertRecords([place('Kesar')], { url: endpoint.url, token: 'nope' },
+    { columns: COLUMNS, onBatch: entry => { log.push(entry); } });
+  assert.deepEqual(summary, { sent: 0, failed: 1, appended: 0, updated: 0, batches: 1 });
+  assert.equal(log[0].error, 'Wrong token');
+
+  const loginPage = http.createServer((req, res) => res.end('<html>Sign in</html>'));
+  await new Promise(resolve => loginPage.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(done => loginPage.close(done)));
+  const other = [];
+  await ScraperSheets.upsertRecords([place('Kesar')], { url: `http://127.0.0.1:${loginPage.address().port}/` },
+    { columns: COLUMNS, onBatch: entry => { other.push(entry); } });
+  assert.match(other[0].error, /deployed with access "Anyone"/);
+});
+
+test('Apps Script URLs also need access to the redirect target', () => {
+  assert.deepEqual(ScraperSheets.accessOrigins('https://script.google.com/macros/s/abc/exec'),
+    ['https://script.google.com/*', 'https://script.googleusercontent.com/*']);
+  assert.deepEqual(ScraperSheets.accessOrigins('http://localhost:8080/sheet'), ['http://localhost:8080/*']);
+});
@@ -0,0 +1,58 @@
+// table.test.js — Results page rows: search, sort, empty fields and inline edits
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('../phone');
+require('../address');
+const ScraperTable = require('../table');
+
+const PLACES = [
+  { name: 'Kesar Da Dhaba', category: 'Restaurant', phone: '098140 22001', website: '',
+    address: 'Chowk Passian, Amritsar', rating: '4.2', reviews: '18,902', emails: [], country: 'IN' },
+  { name: 'Bharawan Da Dhaba', category: 'Restaurant', phone: '', website: 'https://bharawan.in',
+    address: 'Town Hall, Amritsar', rating: '4.1', reviews: '9012', emails: ['hi@bharawan.in'], country: 'IN' },
+  { name: 'New Sweets', category: 'Sweet shop', phone: '0183 253 1952', rating: '', reviews: '' }
+];
+
+test('search matches every word across the shown fields', () => {
+  const names = records => records.map(r => r.name);
+  assert.deepEqual(names(ScraperTable.searchRecords(PLACES, 'dhaba amritsar')),
+    ['Kesar Da Dhaba', 'Bharawan Da Dhaba']);
+  assert.deepEqual(names(ScraperTable.searchRecords(PLACES, 'HI@BHARAWAN')), ['Bharawan Da Dhaba']);
+  assert.equal(ScraperTable.searchRecords(PLACES, '  ').length, 3);
+});
+
+test('numbers sort numerically and empty cells sort last both ways', () => {
+  const names = records => records.map(r => r.name);
+  assert.deepEqual(names(ScraperTable.sortRecords(PLACES, 'reviews', 'asc')),
+    ['Bharawan Da Dhaba', 'Kesar Da Dhaba', 'New Sweets']);
+  assert.deepEqual(names(ScraperTable.sortRecords(PLACES, 'reviews', 'desc')),
+    ['Kesar Da Dhaba', 'Bharawan Da Dhaba', 'New Sweets']);
+  assert.deepEqual(names(ScraperTable.sortRecords(PLACES, 'name', 'desc')),
+    ['New Sweets', 'Kesar Da Dhaba', 'Bharawan Da Dhaba']);
+});
+
+test('empty counts cover missing fields and empty lists', () => {
+  const counts = ScraperTable.emptyCounts(PLACES);
+  assert.equal(counts.name, 0);
+  assert.equal(counts.website, 2);
+  assert.equal(counts.emails, 2);
+  assert.equal(counts.rating, 1);
+});
+
+test('edits refresh derived phone and address fields and reject bad numbers', () => {
+  const phone = ScraperTable.editChanges(PLACES[1], 'phone', ' 0183 253 1952 ');
+  assert.equal(phone.phone, '0183 253 1952');
+  assert.equal(phone.phoneE164, '+911832531952');
+  assert.equal(phone.phoneValid, true);
+  assert.deepEqual(ScraperTable.editChanges(PLACES[0], 'phone', ''),
+    { phone: '', phoneE164: '', phoneNational: '', phoneValid: null });
+
+  const address = ScraperTable.editChanges(PLACES[0], 'address', 'Chowk Passian, Amritsar, Punjab 143001');
+  assert.equal(address.city, 'Amritsar');
+  assert.equal(address.postalCode, '143001');
+
+  assert.deepEqual(ScraperTable.editChanges(PLACES[0], 'emails', 'a@x.in; b@x.in'), { emails: ['a@x.in', 'b@x.in'] });
+  assert.throws(() => ScraperTable.editChanges(PLACES[0], 'rating', 'great'), /Rating must be a number/);
+  assert.throws(() => ScraperTable.editChanges(PLACES[0], 'scrapedAt', 'x'), /cannot be edited/);
+});
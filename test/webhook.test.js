@@ -0,0 +1,137 @@
+// webhook.test.js — Batched delivery to a mock endpoint on localhost
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const ScraperWebhook = require('../webhook');
+
+// Answers each request with the next status in `script` (200 once it runs out)
+function serveEndpoint(script = []) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, headers: req.headers, body: JSON.parse(body) });
+      const step = script.shift() || { status: 200 };
+      if (step.delay) {
+        setTimeout(() => res.writeHead(step.status).end(), step.delay);
+        return;
+      }
+      res.writeHead(step.status, step.headers || {}).end();
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/hooks/leads`,
+        requests,
+        close: () => {
+          server.closeAllConnections();
+          return new Promise(done => server.close(done));
+        }
+      });
+    });
+  });
+}
+
+const RECORDS = Array.from({ length: 5 }, (_, i) => ({ name: `Place ${i + 1}` }));
+
+// Records the backoff instead of waiting it out
+function fakeSleep(delays) {
+  return ms => {
+    delays.push(ms);
+    return Promise.resolve();
+  };
+}
+
+test('records go out in batches with the auth header and a log entry per batch', async (t) => {
+  const endpoint = await serveEndpoint();
+  t.after(endpoint.close);
+
+  const log = [];
+  const summary = await ScraperWebhook.deliverRecords(RECORDS, {
+    url: endpoint.url,
+    headerName: 'X-Api-Key',
+    headerValue: 'secret-token',
+    batchSize: 2
+  }, { onBatch: entry => { log.push(entry); } });
+
+  assert.deepEqual(summary, { sent: 5, failed: 0, batches: 3 });
+  assert.deepEqual(endpoint.requests.map(r => r.body.records.length), [2, 2, 1]);
+  const first = endpoint.requests[0];
+  assert.equal(first.method, 'POST');
+  assert.equal(first.headers['x-api-key'], 'secret-token');
+  assert.equal(first.headers['content-type'], 'application/json');
+  assert.deepEqual(first.body.batch, { index: 1, of: 3 });
+  assert.equal(first.body.event, 'batch');
+  assert.deepEqual(first.body.records, RECORDS.slice(0, 2));
+  assert.deepEqual(log.map(e => [e.batch, e.count, e.ok, e.status, e.attempts]),
+    [[1, 2, true, 200, 1], [2, 2, true, 200, 1], [3, 1, true, 200, 1]]);
+});
+
+test('server errors are retried with doubling backoff, and Retry-After is honoured', async (t) => {
+  const endpoint = await serveEndpoint([
+    { status: 503 },
+    { status: 502 },
+    { status: 429, headers: { 'Retry-After': '7' } }
+  ]);
+  t.after(endpoint.close);
+
+  const delays = [];
+  const log = [];
+  const summary = await ScraperWebhook.deliverRecords(RECORDS, { url: endpoint.url, batchSize: 10 }, {
+    backoffMs: 100,
+    sleep: fakeSleep(delays),
+    onBatch: entry => { log.push(entry); }
+  });
+
+  assert.deepEqual(summary, { sent: 5, failed: 0, batches: 1 });
+  assert.deepEqual(delays, [100, 200, 7000]);
+  assert.equal(log[0].attempts, 4);
+  assert.equal(endpoint.requests.length, 4);
+});
+
+test('a rejected request is not retried; a failing batch does not stop the next', async (t) => {
+  const endpoint = await serveEndpoint([{ status: 401 }, { status: 500 }, { status: 500 }]);
+  t.after(endpoint.close);
+
+  const delays = [];
+  const log = [];
+  const summary = await ScraperWebhook.deliverRecords(RECORDS, { url: endpoint.url, batchSize: 3 }, {
+    retries: 1,
+    sleep: fakeSleep(delays),
+    onBatch: entry => { log.push(entry); }
+  });
+
+  assert.deepEqual(summary, { sent: 0, failed: 5, batches: 2 });
+  assert.deepEqual(log.map(e => [e.status, e.attempts, e.error]), [[401, 1, 'HTTP 401'], [500, 2, 'HTTP 500']]);
+  assert.equal(delays.length, 1);
+});
+
+test('a slow endpoint times out and counts as failed after its retries', async (t) => {
+  const endpoint = await serveEndpoint([{ status: 200, delay: 500 }, { status: 200, delay: 500 }]);
+  t.after(endpoint.close);
+
+  const log = [];
+  await ScraperWebhook.deliverRecords(RECORDS.slice(0, 1), { url: endpoint.url }, {
+    timeoutMs: 100,
+    retries: 1,
+    sleep: fakeSleep([]),
+    onBatch: entry => { log.push(entry); }
+  });
+
+  assert.equal(log[0].ok, false);
+  assert.equal(log[0].status, 0);
+  assert.equal(log[0].attempts, 2);
+  assert.match(log[0].error, /Timed out after 100 ms/);
+});
+
+test('validateConfig rejects a missing or non-http URL and a malformed header name', () => {
+  assert.throws(() => ScraperWebhook.validateConfig({ url: '' }), /endpoint URL/);
+  assert.throws(() => ScraperWebhook.validateConfig({ url: 'ftp://example.com/' }), /http\(s\)/);
+  assert.throws(() => ScraperWebhook.validateConfig({ url: 'https://x.test/', headerName: 'Bad Header' }),
+    /header name/);
+  assert.equal(ScraperWebhook.validateConfig({ url: 'https://x.test/', headerName: 'Authorization' }), true);
+});
@@ -0,0 +1,98 @@
+// xlsx.test.js — Zip container and worksheet contents of the .xlsx export
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const ScraperXLSX = require('../xlsx');
+const ScraperExporters = require('../exporters');
+
+// Walks the local file headers of a stored (uncompressed) zip
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const files = {};
+  let offset = 0;
+  while (view.getUint32(offset, true) === 0x04034b50) {
+    const crc = view.getUint32(offset + 14, true);
+    const size = view.getUint32(offset + 18, true);
+    const nameLength = view.getUint16(offset + 26, true);
+    const extraLength = view.getUint16(offset + 28, true);
+    const name = Buffer.from(bytes.subarray(offset + 30, offset + 30 + nameLength)).toString('utf8');
+    const start = offset + 30 + nameLength + extraLength;
+    const data = bytes.subarray(start, start + size);
+    assert.equal(ScraperXLSX.crc32(data), crc, `CRC of ${name}`);
+    files[name] = Buffer.from(data).toString('utf8');
+    offset = start + size;
+  }
+  return files;
+}
+
+function parseXml(xml) {
+  const { DOMParser } = new JSDOM('').window;
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  assert.equal(doc.getElementsByTagName('parsererror').length, 0, 'well-formed XML');
+  return doc;
+}
+
+const RECORDS = [
+  {
+    name: 'Kesar Da Dhaba & Sons <Amritsar>',
+    phone: '098140 22001',
+    website: 'http://www.kesardadhaba.com/',
+    rating: '4.2',
+    reviews: '18902',
+    postalCode: '143006',
+    cid: '10357476709978310753',
+    url: 'https://www.google.com/maps/place/Kesar+Da+Dhaba/data=!4m7'
+  },
+  { name: 'No Website Sweets', rating: 'n/a', reviews: '' }
+];
+
+test('crc32 matches the reference value', () => {
+  assert.equal(ScraperXLSX.crc32(new TextEncoder().encode('123456789')), 0xcbf43926);
+});
+
+test('columnName counts like spreadsheet columns', () => {
+  assert.deepEqual([0, 25, 26, 27, 51, 52, 701, 702].map(ScraperXLSX.columnName),
+    ['A', 'Z', 'AA', 'AB', 'AZ', 'BA', 'ZZ', 'AAA']);
+});
+
+test('excel export is a workbook with typed cells, links and a frozen bold header', () => {
+  const { content, filename, mimeType } = ScraperExporters.buildExport('excel', RECORDS);
+  assert.equal(filename, 'google-maps-data.xlsx');
+  assert.equal(mimeType, ScraperXLSX.MIME_TYPE);
+
+  const files = readZip(content);
+  for (const part of ['[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels',
+                      'xl/styles.xml', 'xl/worksheets/sheet1.xml', 'xl/worksheets/_rels/sheet1.xml.rels']) {
+    assert.ok(files[part], `${part} present`);
+    parseXml(files[part]);
+  }
+
+  const sheet = parseXml(files['xl/worksheets/sheet1.xml']);
+  const column = header => ScraperXLSX.columnName(ScraperExporters.COLUMNS.findIndex(c => c.header === header));
+  const cell = ref => Array.from(sheet.getElementsByTagName('c')).find(c => c.getAttribute('r') === ref);
+
+  // Numbers are numbers, identifiers that only look numeric stay text
+  assert.equal(cell(`${column('Rating')}2`).getAttribute('t'), null);
+  assert.equal(cell(`${column('Rating')}2`).textContent, '4.2');
+  assert.equal(cell(`${column('Reviews')}2`).textContent, '18902');
+  assert.equal(cell(`${column('Rating')}3`).getAttribute('t'), 'inlineStr');
+  assert.equal(cell(`${column('Phone')}2`).getAttribute('t'), 'inlineStr');
+  assert.equal(cell(`${column('Phone')}2`).textContent, '098140 22001');
+  assert.equal(cell(`${column('CID')}2`).textContent, '10357476709978310753');
+  assert.equal(cell('A2').textContent, 'Kesar Da Dhaba & Sons <Amritsar>');
+
+  // Website and Maps URL are hyperlinks
+  const links = Array.from(sheet.getElementsByTagName('hyperlink')).map(h => h.getAttribute('ref'));
+  assert.deepEqual(links, [`${column('Website')}2`, `${column('URL')}2`]);
+  const rels = parseXml(files['xl/worksheets/_rels/sheet1.xml.rels']);
+  assert.deepEqual(Array.from(rels.getElementsByTagName('Relationship')).map(r => r.getAttribute('Target')),
+    [RECORDS[0].website, RECORDS[0].url]);
+
+  // Header row: bold style, frozen pane, widths
+  assert.equal(cell('A1').getAttribute('s'), '1');
+  assert.equal(sheet.getElementsByTagName('pane')[0].getAttribute('state'), 'frozen');
+  const widths = Array.from(sheet.getElementsByTagName('col')).map(c => Number(c.getAttribute('width')));
+  assert.equal(widths.length, ScraperExporters.COLUMNS.length);
+  assert.equal(widths[0], RECORDS[0].name.length + 2);
+});
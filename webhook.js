@@ -0,0 +1,164 @@
+// webhook.js — Send records to a user-configured endpoint (CRM, Zapier, own server)
+//
+// Records go out as JSON POSTs in batches. Failed batches are retried with
+// exponential backoff; every attempt's outcome is reported back so the
+// caller can keep a delivery log.
+
+(function (root) {
+  'use strict';
+
+  const DEFAULT_OPTIONS = {
+    batchSize: 50,
+    retries: 3,             // extra attempts after the first
+    backoffMs: 1000,        // doubled after each failed attempt
+    maxBackoffMs: 60000,
+    timeoutMs: 15000
+  };
+
+  // Worth another try: the server may recover. Other 4xx mean the request
+  // itself is wrong (bad URL, bad token) and would fail again
+  function isRetryable(status) {
+    return status === 0 || status === 408 || status === 429 || status >= 500;
+  }
+
+  function chunk(items, size) {
+    const batches = [];
+    for (let i = 0; i < items.length; i += size) batches.push(items.slice(i, i + size));
+    return batches;
+  }
+
+  function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // Retry-After in seconds wins over our own schedule when the server sends one
+  function retryDelay(attempt, options, retryAfter) {
+    const seconds = parseInt(retryAfter, 10);
+    const delay = Number.isFinite(seconds) ? seconds * 1000 : options.backoffMs * 2 ** (attempt - 1);
+    return Math.min(delay, options.maxBackoffMs);
+  }
+
+  // ── Single request ────────────────────────────────────────────
+
+  // Result: { status, retryAfter, body } or { status: 0, error } when no response came back
+  async function post(config, payload, options) {
+    const headers = { 'Content-Type': config.contentType || 'application/json' };
+    if (config.headerName && config.headerValue) headers[config.headerName] = config.headerValue;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), options.timeoutMs);
+    try {
+      const response = await options.fetchImpl(config.url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(payload),
+        signal: controller.signal,
+        credentials: 'omit'
+      });
+      return {
+        status: response.status,
+        retryAfter: response.headers.get('retry-after'),
+        body: await response.text()
+      };
+    } catch (err) {
+      const error = err.name === 'AbortError' ? `Timed out after ${options.timeoutMs} ms` : err.message;
+      return { status: 0, error };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Result: { ok, status, attempts, error, body }
+  async function sendWithRetry(config, payload, options) {
+    for (let attempt = 1; ; attempt++) {
+      const result = await post(config, payload, options);
+      const ok = result.status >= 200 && result.status < 300;
+      if (ok) return { ok, status: result.status, attempts: attempt, error: '', body: result.body };
+      if (!isRetryable(result.status) || attempt > options.retries || options.shouldStop()) {
+        return { ok, status: result.status, attempts: attempt, error: result.error || `HTTP ${result.status}` };
+      }
+      const delay = retryDelay(attempt, options, result.retryAfter);
+      options.log(`Endpoint answered ${result.error || `HTTP ${result.status}`}, retrying in ${delay} ms`);
+      await options.sleep(delay);
+    }
+  }
+
+  // ── Delivery ──────────────────────────────────────────────────
+
+  function validateConfig(config) {
+    if (!config || !config.url) throw new Error('Set an endpoint URL first');
+    let url;
+    try {
+      url = new URL(config.url);
+    } catch (_) {
+      throw new Error(`Not a valid URL: ${config.url}`);
+    }
+    if (!/^https?:$/.test(url.protocol)) throw new Error('The endpoint must be an http(s) URL');
+    if (config.headerName && !/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(config.headerName)) {
+      throw new Error(`Not a valid header name: ${config.headerName}`);
+    }
+    return true;
+  }
+
+  // Defaults for sendWithRetry; also used by other targets (sheets.js)
+  function resolveOptions(overrides) {
+    return {
+      ...DEFAULT_OPTIONS,
+      fetchImpl: (...args) => root.fetch(...args),
+      sleep,
+      log: () => {},
+      shouldStop: () => false,
+      ...overrides
+    };
+  }
+
+  // config: { url, headerName, headerValue, batchSize }
+  // overrides: { event, onBatch(entry), shouldStop, fetchImpl, sleep, log, retries, … }
+  // onBatch receives one delivery-log entry per batch once it succeeds or gives up
+  async function deliverRecords(records, config, overrides = {}) {
+    validateConfig(config);
+    const { onBatch = () => {}, event = 'batch', ...rest } = overrides;
+    const options = resolveOptions(rest);
+    const size = Math.max(1, parseInt(config.batchSize, 10) || options.batchSize);
+    const batches = chunk(records, size);
+    const summary = { sent: 0, failed: 0, batches: batches.length };
+
+    for (let i = 0; i < batches.length && !options.shouldStop(); i++) {
+      const payload = {
+        source: 'google-maps-scraper',
+        event,
+        sentAt: new Date().toISOString(),
+        batch: { index: i + 1, of: batches.length },
+        records: batches[i]
+      };
+      const { body, ...result } = await sendWithRetry(config, payload, options);
+      if (result.ok) summary.sent += batches[i].length;
+      else summary.failed += batches[i].length;
+
+      await onBatch({
+        at: new Date().toISOString(),
+        url: config.url,
+        event,
+        batch: i + 1,
+        of: batches.length,
+        count: batches[i].length,
+        ...result
+      });
+    }
+    return summary;
+  }
+
+  const ScraperWebhook = {
+    DEFAULT_OPTIONS,
+    isRetryable,
+    retryDelay,
+    chunk,
+    resolveOptions,
+    sendWithRetry,
+    validateConfig,
+    deliverRecords
+  };
+
+  root.ScraperWebhook = ScraperWebhook;
+  if (typeof module !== 'undefined' && module.exports) module.exports = ScraperWebhook;
+})(globalThis);
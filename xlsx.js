@@ -0,0 +1,268 @@
+// xlsx.js — Minimal .xlsx writer: one worksheet in an uncompressed zip, no dependencies
+//
+// Enough SpreadsheetML for an export: typed cells (inline strings and
+// numbers), hyperlinks, a bold frozen header row, an autofilter and
+// column widths sized to the content.
+
+(function (root) {
+  'use strict';
+
+  const MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+  const MIN_WIDTH = 8;
+  const MAX_WIDTH = 60;
+
+  // ── Zip (stored entries) ──────────────────────────────────────
+
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  // 1980-01-01; entry timestamps carry no meaning for an export
+  const DOS_DATE = (0 << 9) | (1 << 5) | 1;
+
+  // files: [{ name, content (string or Uint8Array) }] → zip bytes
+  function createZip(files) {
+    const encoder = new TextEncoder();
+    const local = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const name = encoder.encode(file.name);
+      const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+      const crc = crc32(data);
+
+      const header = new DataView(new ArrayBuffer(30));
+      header.setUint32(0, 0x04034b50, true);   // local file header
+      header.setUint16(4, 20, true);           // version needed
+      header.setUint16(6, 0x0800, true);       // UTF-8 names
+      header.setUint16(8, 0, true);            // stored
+      header.setUint16(12, DOS_DATE, true);
+      header.setUint32(14, crc, true);
+      header.setUint32(18, data.length, true);
+      header.setUint32(22, data.length, true);
+      header.setUint16(26, name.length, true);
+      local.push(new Uint8Array(header.buffer), name, data);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true);    // central directory header
+      entry.setUint16(4, 20, true);            // version made by
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(10, 0, true);
+      entry.setUint16(14, DOS_DATE, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, data.length, true);
+      entry.setUint32(24, data.length, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);
+      central.push(new Uint8Array(entry.buffer), name);
+
+      offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);        // end of central directory
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...local, ...central, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    for (const part of parts) {
+      zip.set(part, position);
+      position += part.length;
+    }
+    return zip;
+  }
+
+  // ── SpreadsheetML ─────────────────────────────────────────────
+
+  function escapeXml(value) {
+    return String(value)
+      // Control characters are not allowed in XML 1.0 at all
+      .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // 0 → "A", 27 → "AB"
+  function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+  }
+
+  // Style ids in styles.xml below
+  const STYLE = { normal: 0, header: 1, link: 2 };
+
+  const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<fonts count="3">
+<font><sz val="11"/><name val="Calibri"/></font>
+<font><b/><sz val="11"/><name val="Calibri"/></font>
+<font><u/><sz val="11"/><color rgb="FF0563C1"/><name val="Calibri"/></font>
+</fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="3">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+<xf numFmtId="0" fontId="2" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+  function textCell(ref, value, style) {
+    return `<c r="${ref}" s="${style}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+  }
+
+  // Only cells that parse as a plain number are stored as numbers; the rest
+  // fall back to text rather than becoming errors
+  function numberValue(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    const text = String(value).trim();
+    return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : null;
+  }
+
+  function isLink(value) {
+    return /^(https?:\/\/|mailto:)/i.test(String(value));
+  }
+
+  function buildSheet(columns, rows) {
+    const widths = columns.map(col => Math.max(MIN_WIDTH, col.header.length + 2));
+    const links = [];
+    const xmlRows = [];
+
+    const headerCells = columns.map((col, i) => textCell(`${columnName(i)}1`, col.header, STYLE.header));
+    xmlRows.push(`<row r="1">${headerCells.join('')}</row>`);
+
+    rows.forEach((row, r) => {
+      const rowNumber = r + 2;
+      const cells = [];
+      row.forEach((value, c) => {
+        if (value === '' || value === null || value === undefined) return;
+        const ref = `${columnName(c)}${rowNumber}`;
+        const type = columns[c].type;
+        widths[c] = Math.min(MAX_WIDTH, Math.max(widths[c], String(value).length + 2));
+
+        const number = type === 'number' ? numberValue(value) : null;
+        if (number !== null) {
+          cells.push(`<c r="${ref}" s="${STYLE.normal}"><v>${number}</v></c>`);
+        } else if (type === 'link' && isLink(value)) {
+          links.push({ ref, target: String(value) });
+          cells.push(textCell(ref, value, STYLE.link));
+        } else {
+          cells.push(textCell(ref, value, STYLE.normal));
+        }
+      });
+      xmlRows.push(`<row r="${rowNumber}">${cells.join('')}</row>`);
+    });
+
+    const lastCell = `${columnName(columns.length - 1)}${rows.length + 1}`;
+    const cols = widths
+      .map((width, i) => `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`)
+      .join('');
+    const hyperlinks = links.length
+      ? `<hyperlinks>${links.map((link, i) => `<hyperlink ref="${link.ref}" r:id="rId${i + 1}"/>`).join('')}</hyperlinks>`
+      : '';
+
+    const sheet = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<dimension ref="A1:${lastCell}"/>
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<sheetFormatPr defaultRowHeight="15"/>
+<cols>${cols}</cols>
+<sheetData>${xmlRows.join('')}</sheetData>
+<autoFilter ref="A1:${lastCell}"/>
+${hyperlinks}
+</worksheet>`;
+
+    const rels = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${links.map((link, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="${escapeXml(link.target)}" TargetMode="External"/>`).join('\n')}
+</Relationships>`;
+
+    return { sheet, rels, hasLinks: links.length > 0 };
+  }
+
+  // columns: [{ header, type: 'text' | 'number' | 'link' }]; rows: arrays of
+  // cell values in column order. Returns the .xlsx file as bytes
+  function buildWorkbook({ sheetName = 'Sheet1', columns, rows }) {
+    const { sheet, rels, hasLinks } = buildSheet(columns, rows);
+    // Sheet names: at most 31 characters and none of []:*?/\
+    const safeName = escapeXml(sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31));
+
+    const files = [
+      {
+        name: '[Content_Types].xml',
+        content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+</Types>`
+      },
+      {
+        name: '_rels/.rels',
+        content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`
+      },
+      {
+        name: 'xl/workbook.xml',
+        content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="${safeName}" sheetId="1" r:id="rId1"/></sheets>
+</workbook>`
+      },
+      {
+        name: 'xl/_rels/workbook.xml.rels',
+        content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`
+      },
+      { name: 'xl/styles.xml', content: STYLES_XML },
+      { name: 'xl/worksheets/sheet1.xml', content: sheet }
+    ];
+    if (hasLinks) files.push({ name: 'xl/worksheets/_rels/sheet1.xml.rels', content: rels });
+
+    return createZip(files);
+  }
+
+  const ScraperXLSX = {
+    MIME_TYPE,
+    crc32,
+    createZip,
+    columnName,
+    buildWorkbook
+  };
+
+  root.ScraperXLSX = ScraperXLSX;
+  if (typeof module !== 'undefined' && module.exports) module.exports = ScraperXLSX;
+})(globalThis);